@@ -0,0 +1,126 @@
+/**
+ * Documentation build configuration, read by scripts/build.js
+ *
+ * Paths are relative to the repository root.
+ */
+
+export default {
+  // Base directories
+  docsDir: 'docs',
+  outputDir: 'docs/.vitepress/dist',
+  publicDir: 'docs/public',
+
+  // Steps run by `npm run build`, in order. Entries are either the name of a
+  // built-in step (clean, lint, api-reference, block-catalog, changelog,
+  // images, vitepress, assets, redirects, llms, post-process, service-worker,
+  // performance, verify, translations)
+  // or a custom step: `{ name, title, run(context) }`.
+  steps: ['clean', 'lint', 'api-reference', 'block-catalog', 'changelog', 'images', 'vitepress', 'assets', 'redirects', 'llms', 'post-process', 'service-worker', 'performance', 'verify', 'translations'],
+
+  // Extra files to copy into the build output. `from` is a glob (`*`, `**`,
+  // `?` and `{a,b}` are supported); matches keep their path relative to the
+  // part of the glob before the first wildcard.
+  assets: [
+    { from: 'docs/public/logo.svg', to: 'docs/.vitepress/dist' }
+  ],
+
+  // Tasks run against the built site by the post-process step:
+  // `{ name, run(context) }`
+  postProcess: [],
+
+  // Frontmatter and markdown checks for the sidebar section pages, run by the
+  // lint step (see scripts/page-lint.js)
+  lint: {
+    // Allowed length of the `description` field, in characters
+    description: { min: 50, max: 160 },
+    // Problems by page and rule
+    report: 'docs/.vitepress/cache/lint-report.json'
+  },
+
+  // Drift check between the generated TypeScript reference pages and the
+  // library's type declarations (see scripts/api-reference.js)
+  apiReference: {
+    // wp-block-to-html checkout or install to read the types from; null looks
+    // in $WP_BLOCK_TO_HTML_PATH, ../wp-block-to-html, then node_modules
+    library: null
+  },
+
+  // Check that the block catalog pages show what the library emits for the
+  // samples in docs/.vitepress/block-manifest.js (see scripts/block-catalog.js)
+  blockCatalog: {
+    // As for apiReference
+    library: null
+  },
+
+  // Offline support, written by the service-worker step (see
+  // scripts/service-worker.js)
+  serviceWorker: {
+    // Files in the build output left out when a reader saves the docs for
+    // offline reading, as for linkCheck.ignore: the exports for other tools,
+    // crawler files, and the social images and page cards no page displays
+    exclude: [
+      /\.md$/,
+      /^llms(-full)?\.txt$/,
+      'docs-manifest.json',
+      'sitemap.xml',
+      'robots.txt',
+      'feed.xml',
+      /^(og-image|twitter-card)\./,
+      'og/*'
+    ]
+  },
+
+  // Weight of the built site, checked by the performance step (see
+  // scripts/perf-budget.js). Exceeding a budget fails the build.
+  performance: {
+    // Per page, gzipped: the HTML and the JS and CSS it loads up front
+    budgets: {
+      html: 30_000,
+      js: 80_000,
+      css: 30_000,
+      total: 130_000,
+      // Any single script, stylesheet, font or image, uncompressed
+      asset: 750_000,
+      image: 150_000
+    },
+    images: {
+      // How much larger than it's shown an image may be (2 covers HiDPI screens)
+      maxScale: 2,
+      // Width of the content column, for images without a width
+      contentWidth: 688
+    },
+    // Files listed under "Largest files"
+    largest: 10,
+    // Files whose budget problems are reported but don't fail the build, as
+    // for linkCheck.ignore
+    ignore: [],
+    report: 'docs/.vitepress/cache/performance-report.json'
+  },
+
+  // Internal link and anchor check, run against the built site by the verify step
+  linkCheck: {
+    // Known exceptions: exact link targets, prefixes ending in `*`, or RegExps
+    ignore: [],
+    // Broken and external links, grouped by page
+    report: 'docs/.vitepress/cache/link-report.json'
+  },
+
+  // Single-file HTML and PDF export, written by the offline step. It isn't in
+  // `steps`; run it with `npm run build:offline`.
+  offline: {
+    outputDir: 'docs/.vitepress/offline',
+    // Written as <fileName>.html and <fileName>.pdf
+    fileName: 'wp-block-to-html-docs',
+    // Sidebar sections included, in order
+    sections: ['guide', 'api'],
+    pdf: true,
+    // Chrome, Chromium or Edge executable used to print the PDF; null looks
+    // in $CHROME_PATH, the PATH, then the usual install locations
+    browser: null
+  },
+
+  // Missing and stale pages per locale, by git timestamps
+  translations: {
+    report: 'docs/.vitepress/cache/translation-report.json'
+  }
+};
@@ -0,0 +1,505 @@
+// Core blocks listed in the block catalog, by catalog page. Each block has
+// the attributes its handler reads and a sample block that
+// `npm run generate-block-catalog` converts with every supported CSS
+// framework; the output shown on the pages is whatever the library emits for
+// it (see scripts/block-catalog.js).
+//
+// `since` is the release a block's handler arrived in, when that's later
+// than 1.0.0; its heading gets a badge linking to /changelog.
+//
+// `innerContent` follows WordPress: `null` marks where each inner block goes.
+// The table handler supplies its own `<table>`, so its sample holds only the
+// rows.
+export const blockCategories = [
+  {
+    key: 'text',
+    title: 'Text',
+    page: 'api/blocks/text.md',
+    blocks: [
+      {
+        name: 'core/paragraph',
+        title: 'Paragraph',
+        description: 'A paragraph of text.',
+        attributes: {
+          align: { type: 'string', description: 'Text alignment: `left`, `center` or `right`' },
+          dropCap: { type: 'boolean', description: 'Display the first letter as a large initial' }
+        },
+        sample: {
+          attrs: { align: 'center', dropCap: true },
+          innerContent: ['<p class="has-text-align-center has-drop-cap">Blocks in, <strong>clean HTML</strong> out.</p>']
+        }
+      },
+      {
+        name: 'core/heading',
+        title: 'Heading',
+        description: 'A section heading, `h1` to `h6`.',
+        attributes: {
+          level: { type: 'number', description: 'Heading level, 1–6 (default 2)' },
+          align: { type: 'string', description: 'Text alignment: `left`, `center` or `right`' }
+        },
+        sample: {
+          attrs: { level: 3, align: 'left' },
+          innerContent: ['<h3 class="wp-block-heading has-text-align-left">Getting started</h3>']
+        }
+      },
+      {
+        name: 'core/list',
+        title: 'List',
+        description: 'A bulleted or numbered list.',
+        attributes: {
+          ordered: { type: 'boolean', description: 'Render an `ol` instead of a `ul`' }
+        },
+        sample: {
+          attrs: { ordered: true },
+          innerContent: ['<ol><li>Install the package</li><li>Fetch your blocks</li><li>Convert them</li></ol>']
+        }
+      },
+      {
+        name: 'core/quote',
+        title: 'Quote',
+        description: 'A quotation with an optional citation.',
+        attributes: {
+          citation: { type: 'string', description: 'Source of the quote' }
+        },
+        sample: {
+          attrs: { citation: 'A happy developer' },
+          innerContent: ['<blockquote class="wp-block-quote"><p>Finally, headless WordPress without the markup soup.</p></blockquote>']
+        }
+      },
+      {
+        name: 'core/pullquote',
+        title: 'Pullquote',
+        description: 'A quotation set apart from the surrounding text.',
+        attributes: {
+          value: { type: 'string', description: 'Quote text (HTML)' },
+          citation: { type: 'string', description: 'Source of the quote' },
+          textColor: { type: 'string', description: 'Text color slug from the theme palette' },
+          backgroundColor: { type: 'string', description: 'Background color slug from the theme palette' }
+        },
+        sample: {
+          attrs: { value: '<p>Design is how it works.</p>', citation: 'Steve Jobs' },
+          innerContent: ['<figure class="wp-block-pullquote"><blockquote><p>Design is how it works.</p><cite>Steve Jobs</cite></blockquote></figure>']
+        }
+      },
+      {
+        name: 'core/code',
+        title: 'Code',
+        description: 'Preformatted source code.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerContent: ['<pre class="wp-block-code"><code>npm install wp-block-to-html</code></pre>']
+        }
+      },
+      {
+        name: 'core/preformatted',
+        title: 'Preformatted',
+        description: 'Text displayed exactly as written, whitespace included.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerContent: ['<pre class="wp-block-preformatted">Name    Version\nwp-block-to-html  1.x</pre>']
+        }
+      },
+      {
+        name: 'core/verse',
+        title: 'Verse',
+        description: 'Poetry or lyrics, keeping line breaks.',
+        attributes: {
+          textColor: { type: 'string', description: 'Text color slug from the theme palette' }
+        },
+        sample: {
+          attrs: {},
+          innerContent: ['<pre class="wp-block-verse">Roses are red,\nblocks become HTML.</pre>']
+        }
+      },
+      {
+        name: 'core/details',
+        title: 'Details',
+        description: 'A disclosure widget that hides its content until opened.',
+        attributes: {
+          summary: { type: 'string', description: 'Text of the always-visible summary' }
+        },
+        sample: {
+          attrs: { summary: 'Does it work with Next.js?' },
+          innerBlocks: [
+            {
+              blockName: 'core/paragraph',
+              attrs: {},
+              innerBlocks: [],
+              innerContent: ['<p>Yes, and with any other framework.</p>']
+            }
+          ],
+          innerContent: ['<details class="wp-block-details"><summary>Does it work with Next.js?</summary>', null, '</details>']
+        }
+      },
+      {
+        name: 'core/math',
+        title: 'Math',
+        description: 'A mathematical formula.',
+        since: '1.5.0',
+        attributes: {
+          latex: { type: 'string', description: 'Formula in LaTeX' },
+          mathML: { type: 'string', description: 'Formula as MathML, used when present' }
+        },
+        sample: {
+          attrs: { latex: 'E = mc^2' },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/freeform',
+        title: 'Classic',
+        description: 'HTML from the classic editor, passed through.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerContent: ['<p>Written in the <em>classic</em> editor.</p>']
+        }
+      },
+      {
+        name: 'core/table',
+        title: 'Table',
+        description: 'Tabular data.',
+        attributes: {
+          hasFixedLayout: { type: 'boolean', description: 'Give the columns equal width' },
+          caption: { type: 'string', description: 'Table caption' }
+        },
+        sample: {
+          attrs: { hasFixedLayout: true, caption: 'Supported frameworks' },
+          innerContent: ['<thead><tr><th>Framework</th><th>Classes</th></tr></thead><tbody><tr><td>Tailwind</td><td>Utility</td></tr><tr><td>Bootstrap</td><td>Component</td></tr></tbody>']
+        }
+      }
+    ]
+  },
+  {
+    key: 'media',
+    title: 'Media',
+    page: 'api/blocks/media.md',
+    blocks: [
+      {
+        name: 'core/image',
+        title: 'Image',
+        description: 'An image with an optional caption and link.',
+        attributes: {
+          url: { type: 'string', description: 'Image URL' },
+          alt: { type: 'string', description: 'Alternative text' },
+          caption: { type: 'string', description: 'Caption shown below the image' },
+          href: { type: 'string', description: 'Link target when the image is clickable' },
+          align: { type: 'string', description: '`left`, `center`, `right`, `wide` or `full`' },
+          sizeSlug: { type: 'string', description: '`thumbnail`, `medium`, `large` or `full`' },
+          width: { type: 'number', description: 'Width in pixels' },
+          height: { type: 'number', description: 'Height in pixels' }
+        },
+        sample: {
+          attrs: { url: 'https://picsum.photos/id/10/640/360', alt: 'A forest by a lake', caption: 'Photo by Picsum', align: 'center', sizeSlug: 'large', width: 640, height: 360 },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/gallery',
+        title: 'Gallery',
+        description: 'A grid of images.',
+        attributes: {
+          images: { type: 'array', description: 'Images as `{ url, alt, caption }` (older block format)' },
+          columns: { type: 'number', description: 'Number of columns' },
+          linkTo: { type: 'string', description: '`none`, `media` or `attachment`' },
+          caption: { type: 'string', description: 'Caption for the whole gallery' }
+        },
+        sample: {
+          attrs: {
+            columns: 2,
+            linkTo: 'none',
+            images: [
+              { url: 'https://picsum.photos/id/20/320/200', alt: 'Desk' },
+              { url: 'https://picsum.photos/id/30/320/200', alt: 'Mug' }
+            ]
+          },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/audio',
+        title: 'Audio',
+        description: 'An audio player.',
+        attributes: {
+          src: { type: 'string', description: 'Audio file URL' },
+          caption: { type: 'string', description: 'Caption shown below the player' },
+          autoplay: { type: 'boolean', description: 'Start playing on load' },
+          loop: { type: 'boolean', description: 'Repeat when finished' },
+          preload: { type: 'string', description: '`auto`, `metadata` or `none`' }
+        },
+        sample: {
+          attrs: { src: 'https://example.com/episode-1.mp3', caption: 'Episode 1', preload: 'metadata' },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/video',
+        title: 'Video',
+        description: 'A video player.',
+        attributes: {
+          src: { type: 'string', description: 'Video file URL' },
+          poster: { type: 'string', description: 'Image shown before playback' },
+          caption: { type: 'string', description: 'Caption shown below the player' },
+          autoplay: { type: 'boolean', description: 'Start playing on load' },
+          loop: { type: 'boolean', description: 'Repeat when finished' },
+          muted: { type: 'boolean', description: 'Start muted' },
+          playsInline: { type: 'boolean', description: 'Play inline on mobile instead of fullscreen' },
+          preload: { type: 'string', description: '`auto`, `metadata` or `none`' }
+        },
+        sample: {
+          attrs: { src: 'https://example.com/demo.mp4', poster: 'https://picsum.photos/id/40/640/360', caption: 'Product demo', muted: true, playsInline: true },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/file',
+        title: 'File',
+        description: 'A link to download a file.',
+        attributes: {
+          href: { type: 'string', description: 'File URL' },
+          fileName: { type: 'string', description: 'Link text' },
+          showDownloadButton: { type: 'boolean', description: 'Add a download button' },
+          downloadButtonText: { type: 'string', description: 'Download button label' },
+          displayPreview: { type: 'boolean', description: 'Embed a preview (PDFs)' }
+        },
+        sample: {
+          attrs: { href: 'https://example.com/guide.pdf', fileName: 'guide.pdf', showDownloadButton: true, downloadButtonText: 'Download' },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/cover',
+        title: 'Cover',
+        description: 'Content over a background image or color.',
+        attributes: {
+          url: { type: 'string', description: 'Background image URL' },
+          dimRatio: { type: 'number', description: 'Overlay opacity, 0–100' },
+          overlayColor: { type: 'string', description: 'Overlay color slug from the theme palette' },
+          customOverlayColor: { type: 'string', description: 'Overlay color as a CSS value' },
+          minHeight: { type: 'number', description: 'Minimum height' },
+          minHeightUnit: { type: 'string', description: 'Unit of `minHeight`, e.g. `px` or `vh`' },
+          contentPosition: { type: 'string', description: 'Position of the content, e.g. `center center`' }
+        },
+        sample: {
+          attrs: { url: 'https://picsum.photos/id/50/960/400', dimRatio: 40, customOverlayColor: '#000000', minHeight: 240, minHeightUnit: 'px' },
+          innerBlocks: [
+            {
+              blockName: 'core/heading',
+              attrs: { level: 2, align: 'center' },
+              innerBlocks: [],
+              innerContent: ['<h2 class="wp-block-heading has-text-align-center">Welcome aboard</h2>']
+            }
+          ],
+          innerContent: ['<div class="wp-block-cover"><div class="wp-block-cover__inner-container">', null, '</div></div>']
+        }
+      },
+      {
+        name: 'core/media-text',
+        title: 'Media & Text',
+        description: 'An image or video next to text.',
+        attributes: {
+          mediaUrl: { type: 'string', description: 'Image or video URL' },
+          mediaType: { type: 'string', description: '`image` or `video`' },
+          mediaPosition: { type: 'string', description: '`left` or `right`' },
+          mediaWidth: { type: 'number', description: 'Media column width in percent' },
+          verticalAlignment: { type: 'string', description: '`top`, `center` or `bottom`' }
+        },
+        sample: {
+          attrs: { mediaUrl: 'https://picsum.photos/id/60/480/320', mediaType: 'image', mediaPosition: 'left', mediaWidth: 40, verticalAlignment: 'center' },
+          innerBlocks: [
+            {
+              blockName: 'core/paragraph',
+              attrs: {},
+              innerBlocks: [],
+              innerContent: ['<p>Text that sits next to the image.</p>']
+            }
+          ],
+          innerContent: ['<div class="wp-block-media-text"><div class="wp-block-media-text__content">', null, '</div></div>']
+        }
+      },
+      {
+        name: 'core/embed',
+        title: 'Embed',
+        description: 'Content from another site, such as a video or post.',
+        attributes: {
+          url: { type: 'string', description: 'URL of the embedded content' },
+          providerNameSlug: { type: 'string', description: 'Provider, e.g. `youtube` or `vimeo`' },
+          type: { type: 'string', description: '`video`, `rich`, ...' },
+          responsive: { type: 'boolean', description: 'Keep the aspect ratio when resized' },
+          caption: { type: 'string', description: 'Caption shown below the embed' }
+        },
+        sample: {
+          attrs: { url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', providerNameSlug: 'youtube', type: 'video', responsive: true },
+          innerContent: ['']
+        }
+      }
+    ]
+  },
+  {
+    key: 'layout',
+    title: 'Layout',
+    page: 'api/blocks/layout.md',
+    blocks: [
+      {
+        name: 'core/group',
+        title: 'Group',
+        description: 'A container for other blocks.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerBlocks: [
+            {
+              blockName: 'core/paragraph',
+              attrs: {},
+              innerBlocks: [],
+              innerContent: ['<p>Grouped content.</p>']
+            }
+          ],
+          innerContent: ['<div class="wp-block-group">', null, '</div>']
+        }
+      },
+      {
+        name: 'core/columns',
+        title: 'Columns',
+        description: 'Blocks side by side, in `core/column` blocks.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerBlocks: [
+            {
+              blockName: 'core/column',
+              attrs: { width: '50%' },
+              innerBlocks: [
+                { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Left column</p>'] }
+              ],
+              innerContent: ['<div class="wp-block-column" style="flex-basis:50%">', null, '</div>']
+            },
+            {
+              blockName: 'core/column',
+              attrs: { width: '50%' },
+              innerBlocks: [
+                { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Right column</p>'] }
+              ],
+              innerContent: ['<div class="wp-block-column" style="flex-basis:50%">', null, '</div>']
+            }
+          ],
+          innerContent: ['<div class="wp-block-columns">', null, null, '</div>']
+        }
+      },
+      {
+        name: 'core/column',
+        title: 'Column',
+        description: 'One column of a `core/columns` block.',
+        attributes: {
+          width: { type: 'string', description: 'Column width, e.g. `33.33%`' }
+        },
+        sample: {
+          attrs: { width: '33.33%' },
+          innerBlocks: [
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Column content</p>'] }
+          ],
+          innerContent: ['<div class="wp-block-column" style="flex-basis:33.33%">', null, '</div>']
+        }
+      },
+      {
+        name: 'core/row',
+        title: 'Row',
+        description: 'A group laid out horizontally.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerBlocks: [
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>First</p>'] },
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Second</p>'] }
+          ],
+          innerContent: ['<div class="wp-block-group is-layout-flex">', null, null, '</div>']
+        }
+      },
+      {
+        name: 'core/stack',
+        title: 'Stack',
+        description: 'A group laid out vertically.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerBlocks: [
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Top</p>'] },
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Bottom</p>'] }
+          ],
+          innerContent: ['<div class="wp-block-group is-vertical is-layout-flex">', null, null, '</div>']
+        }
+      },
+      {
+        name: 'core/grid',
+        title: 'Grid',
+        description: 'A group laid out as a grid.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerBlocks: [
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>One</p>'] },
+            { blockName: 'core/paragraph', attrs: {}, innerBlocks: [], innerContent: ['<p>Two</p>'] }
+          ],
+          innerContent: ['<div class="wp-block-group is-layout-grid">', null, null, '</div>']
+        }
+      },
+      {
+        name: 'core/buttons',
+        title: 'Buttons',
+        description: 'A row of `core/button` blocks.',
+        since: '1.5.0',
+        attributes: {
+          align: { type: 'string', description: 'Alignment: `left`, `center` or `right`' },
+          orientation: { type: 'string', description: '`horizontal` or `vertical`' }
+        },
+        sample: {
+          attrs: { align: 'center' },
+          innerBlocks: [
+            { blockName: 'core/button', attrs: { url: '/guide/', text: 'Get started' }, innerBlocks: [], innerContent: [''] },
+            { blockName: 'core/button', attrs: { url: '/api/', text: 'API reference' }, innerBlocks: [], innerContent: [''] }
+          ],
+          innerContent: ['<div class="wp-block-buttons">', null, null, '</div>']
+        }
+      },
+      {
+        name: 'core/button',
+        title: 'Button',
+        description: 'A link styled as a button.',
+        attributes: {
+          url: { type: 'string', description: 'Link target' },
+          text: { type: 'string', description: 'Button label' },
+          linkTarget: { type: 'string', description: 'Link `target`, e.g. `_blank`' },
+          rel: { type: 'string', description: 'Link `rel`' }
+        },
+        sample: {
+          attrs: { url: 'https://github.com/madebyaris/wp-block-to-html', text: 'View on GitHub', linkTarget: '_blank', rel: 'noopener' },
+          innerContent: ['']
+        }
+      },
+      {
+        name: 'core/separator',
+        title: 'Separator',
+        description: 'A horizontal rule between sections.',
+        attributes: {},
+        sample: {
+          attrs: {},
+          innerContent: ['<hr class="wp-block-separator"/>']
+        }
+      },
+      {
+        name: 'core/spacer',
+        title: 'Spacer',
+        description: 'Empty vertical space.',
+        attributes: {
+          height: { type: 'number', description: 'Height in pixels' }
+        },
+        sample: {
+          attrs: { height: 40 },
+          innerContent: ['']
+        }
+      }
+    ]
+  }
+]
@@ -0,0 +1,48 @@
+// Releases of wp-block-to-html, newest first. The /changelog page
+// (scripts/generate-changelog.js) lists these together with the pages and
+// sections marked `since` or `deprecated` in each release, and the Atom feed
+// (./feed.js) has an entry per dated release.
+//
+// `date` is the day the release was published to npm (YYYY-MM-DD); leave it
+// null when it isn't known, which keeps the release out of the feed.
+// `changes` are grouped on the page by type: added, changed, deprecated,
+// removed, fixed.
+export const releases = [
+  {
+    version: '1.5.0',
+    date: '2026-05-17',
+    summary: 'A compatibility release: support claims audited against the code, performance hardening, a cleaner package surface and handlers for the high-impact blocks of WordPress 6.9 and selected 7.0 blocks.',
+    changes: [
+      { type: 'added', text: 'Handlers for `core/buttons`, `core/math`, `core/accordion`, `core/latest-comments`, `core/terms-query`, `core/comments-link`, `core/comments-count` and `core/breadcrumbs`.' },
+      { type: 'added', text: 'Embed provider aliases for `x`, `bluesky`, `wordpress-tv`, `videopress`, `crowdsignal` and `wolfram`.' },
+      { type: 'added', text: 'Compatibility hooks for viewport-based `metadata.blockVisibility` from WordPress 7.0.' },
+      { type: 'changed', text: 'Package exports for `angular`, `svelte`, `hydration` and `blocks/theme` now match the built output.' },
+      { type: 'changed', text: 'Debug logging removed from the conversion hot path.' }
+    ]
+  },
+  {
+    version: '1.0.0',
+    date: null,
+    summary: 'The first stable release, adding client-side hydration for server-rendered content.',
+    changes: [
+      { type: 'added', text: 'Client-side hydration with viewport, interaction and idle strategies, from the `wp-block-to-html/hydration` entry point.' },
+      { type: 'added', text: 'Hydration statistics for monitoring how much of a page has been hydrated.' }
+    ]
+  }
+]
+
+// Headings for each type of change, in the order they're listed
+export const changeTypes = {
+  added: 'Added',
+  changed: 'Changed',
+  deprecated: 'Deprecated',
+  removed: 'Removed',
+  fixed: 'Fixed'
+}
+
+/**
+ * A release's anchor on the /changelog page, e.g. `1.5.0` -> `v1-5-0`
+ */
+export function releaseAnchor(version) {
+  return `v${version.replace(/\./g, '-')}`
+}
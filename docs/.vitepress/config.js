@@ -1,246 +1,120 @@
 import { defineConfig } from 'vitepress'
-import { SitemapStream, streamToPromise } from 'sitemap'
-import { Readable } from 'stream'
-import { writeFileSync } from 'fs'
-import { resolve } from 'path'
+import { dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { writeFeed } from './feed.js'
+import { frameworkTabsMarkdown } from './framework-tabs.js'
+import { copyPageCards } from './image-manifest.js'
+import { defaultLocale, locales, localeThemeConfig } from './locales.js'
+import { nav, navFor, sidebar, sidebarFor } from './nav.js'
+import { releaseMarkersMarkdown } from './release-markers.js'
+import { search } from './search.js'
+import { assertUniqueCanonicals, head, pageHead, pageSeo } from './seo.js'
+import { interpolateFrontmatter, interpolateSiteMeta, siteMeta, siteMetaMarkdown } from './site-meta.js'
+import { collectSitemapEntry, writeSitemap } from './sitemap.js'
+import { validateSiteConfig } from './validate.js'
+import { versionsThemeConfig } from './versions.js'
+import { writeWebManifest } from './web-manifest.js'
+
+const configDir = dirname(fileURLToPath(import.meta.url))
+
+// Translations get their own nav, sidebars and theme labels (see ./locales.js)
+const translations = Object.fromEntries(
+  locales.filter(locale => locale.dir).map(locale => [locale.key, {
+    label: locale.label,
+    lang: locale.lang,
+    link: `/${locale.dir}/`,
+    themeConfig: {
+      nav: navFor(locale),
+      sidebar: sidebarFor(locale),
+      ...localeThemeConfig(locale)
+    }
+  }])
+)
+
+// Fail fast on a stray second config file or nav/sidebar links to missing pages
+validateSiteConfig({
+  configDir,
+  srcDir: dirname(configDir),
+  nav: [nav, ...Object.values(translations).map(locale => locale.themeConfig.nav)].flat(),
+  sidebar: Object.assign({}, sidebar, ...Object.values(translations).map(locale => locale.themeConfig.sidebar))
+})
 
 // https://vitepress.dev/reference/site-config
 export default defineConfig({
-  title: "WP Block to HTML",
+  title: siteMeta.name,
   description: "Convert WordPress blocks to framework-agnostic HTML or framework-specific components with advanced optimization features",
   base: '/',
+  // Dead links and anchors are checked by scripts/check-links.js as part of
+  // `npm run build`, which reports every problem instead of stopping at one
   ignoreDeadLinks: true,
   lastUpdated: true,
   
   // SEO optimizations
-  lang: 'en-US',
-  head: [
-    // Google Search Console verification
-    ['meta', { name: 'google-site-verification', content: 'z22g2gK0FXnAQPKx2lZdwGzJ4VssZYWjZDON_oJTgss' }],
-    
-    ['meta', { name: 'theme-color', content: '#3eaf7c' }],
-    ['meta', { name: 'apple-mobile-web-app-capable', content: 'yes' }],
-    ['meta', { name: 'apple-mobile-web-app-status-bar-style', content: 'black' }],
-    ['meta', { name: 'author', content: 'Aris Setiawan' }],
-    ['meta', { name: 'keywords', content: 'wordpress, gutenberg, blocks, headless, html, react, vue, nextjs, gatsby, tailwind, bootstrap' }],
-    
-    // Open Graph / Facebook
-    ['meta', { property: 'og:type', content: 'website' }],
-    ['meta', { property: 'og:title', content: 'WP Block to HTML - Convert WordPress Blocks to HTML with Ease' }],
-    ['meta', { property: 'og:description', content: 'A powerful utility for converting WordPress block data to framework-agnostic HTML or framework-specific components with advanced optimization features.' }],
-    ['meta', { property: 'og:image', content: 'https://docs-block.madebyaris.com/og-image.png' }],
-    ['meta', { property: 'og:url', content: 'https://docs-block.madebyaris.com/' }],
-    
-    // Twitter
-    ['meta', { name: 'twitter:card', content: 'summary_large_image' }],
-    ['meta', { name: 'twitter:site', content: '@arisberikut' }],
-    ['meta', { name: 'twitter:creator', content: '@arisberikut' }],
-    ['meta', { name: 'twitter:title', content: 'WP Block to HTML - Convert WordPress Blocks to HTML with Ease' }],
-    ['meta', { name: 'twitter:description', content: 'A powerful utility for converting WordPress block data to framework-agnostic HTML or framework-specific components with advanced optimization features.' }],
-    ['meta', { name: 'twitter:image', content: 'https://docs-block.madebyaris.com/twitter-card.png' }],
-    
-    // Favicon
-    ['link', { rel: 'icon', href: '/favicon.ico' }],
-    ['link', { rel: 'apple-touch-icon', href: '/apple-touch-icon.png' }],
-    
-    // Canonical URL
-    ['link', { rel: 'canonical', href: 'https://docs-block.madebyaris.com/' }],
-  ],
+  head,
+
+  // English at the site root, translations under /<locale>/
+  locales: {
+    root: { label: defaultLocale.label, lang: defaultLocale.lang },
+    ...translations
+  },
   
   // Improve page title format
-  titleTemplate: ':title | WP Block to HTML',
+  titleTemplate: `:title | ${siteMeta.name}`,
   
-  // Generate sitemap.xml after build
-  buildEnd: async ({ outDir }) => {
-    const sitemap = new SitemapStream({ 
-      hostname: process.env.NODE_ENV === 'development' 
-        ? 'http://localhost:5173'
-        : 'https://docs-block.madebyaris.com'
-    })
-    const links = []
-    
-    // Main pages
-    links.push({ url: '/', lastmod: new Date(), changefreq: 'weekly', priority: 1.0 })
-    links.push({ url: '/guide/', lastmod: new Date(), changefreq: 'weekly', priority: 0.9 })
-    links.push({ url: '/api/', lastmod: new Date(), changefreq: 'weekly', priority: 0.9 })
-    links.push({ url: '/examples/', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/frameworks/', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    
-    // Guide pages
-    links.push({ url: '/guide/getting-started', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/guide/installation', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/guide/quick-start', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/guide/content-handling-modes', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/css-frameworks', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/framework-components', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/custom-transformers', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/server-side-rendering', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/performance', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/plugins', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/lazy-loading', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/bundle-size', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/guide/migration-guide', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    
-    // API pages
-    links.push({ url: '/api/core-functions', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/api/configuration', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/api/developer', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/api/internal-architecture', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/api/plugin-development', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/api/contribution-guidelines', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/api/performance-optimization', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/api/testing-guide', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/api/blocks/text', lastmod: new Date(), changefreq: 'monthly', priority: 0.6 })
-    links.push({ url: '/api/blocks/media', lastmod: new Date(), changefreq: 'monthly', priority: 0.6 })
-    links.push({ url: '/api/blocks/layout', lastmod: new Date(), changefreq: 'monthly', priority: 0.6 })
-    links.push({ url: '/api/typescript/interfaces', lastmod: new Date(), changefreq: 'monthly', priority: 0.6 })
-    links.push({ url: '/api/typescript/types', lastmod: new Date(), changefreq: 'monthly', priority: 0.6 })
-    
-    // Framework pages
-    links.push({ url: '/frameworks/react', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/frameworks/vue', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/frameworks/nextjs', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/frameworks/gatsby', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/frameworks/svelte', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    links.push({ url: '/frameworks/angular', lastmod: new Date(), changefreq: 'monthly', priority: 0.8 })
-    
-    // Examples pages
-    links.push({ url: '/examples/css-frameworks', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    links.push({ url: '/examples/advanced', lastmod: new Date(), changefreq: 'monthly', priority: 0.7 })
-    
-    // Create the stream
-    const stream = Readable.from(links).pipe(sitemap)
-    
-    // Get the XML string
-    const xml = await streamToPromise(stream)
-    
-    // Write to file
-    writeFileSync(
-      resolve(outDir, 'sitemap.xml'),
-      xml.toString()
-    )
+  // `%version%` style placeholders in page text and frontmatter come from
+  // ./site-meta.js; `::: framework-tabs` containers from ./framework-tabs.js;
+  // `[since: x.y.z]` badges from ./release-markers.js
+  markdown: {
+    config: (md) => {
+      md.use(siteMetaMarkdown)
+      md.use(frameworkTabsMarkdown)
+      md.use(releaseMarkersMarkdown)
+    }
+  },
+
+  // The block playground bundles wp-block-to-html for the browser
+  vite: {
+    resolve: {
+      alias: [{ find: /^stream$/, replacement: `${configDir}/theme/stream-shim.js` }]
+    }
+  },
+
+  // Canonical, og:* and twitter:* tags are worked out per page from the route
+  // and frontmatter (see ./seo.js)
+  transformPageData: (pageData) => {
+    pageData.frontmatter = interpolateFrontmatter(pageData.frontmatter)
+    pageData.description = interpolateSiteMeta(pageData.description)
+    return pageSeo(pageData)
+  },
+  transformHead: pageHead,
+
+  // Collect every rendered page for the sitemap, then write it once the
+  // build is done (see ./sitemap.js for priority/changefreq rules), along
+  // with the Atom feed of releases (see ./feed.js), the web app manifest
+  // (see ./web-manifest.js) and the page cards (see ./image-manifest.js)
+  transformHtml: (_, id, { pageData }) => {
+    collectSitemapEntry(id, pageData)
+  },
+
+  buildEnd: async (siteConfig) => {
+    assertUniqueCanonicals()
+    await writeSitemap(siteConfig)
+    writeFeed(siteConfig)
+    writeWebManifest(siteConfig)
+    copyPageCards(siteConfig)
   },
   
   themeConfig: {
     // https://vitepress.dev/reference/default-theme-config
     logo: '/logo.svg',
     
-    // Enhanced navigation
-    nav: [
-      { text: 'Home', link: '/' },
-      { text: 'Guide', link: '/guide/' },
-      { text: 'API', link: '/api/' },
-      { text: 'Examples', link: '/examples/' },
-      { text: 'Frameworks', link: '/frameworks/' },
-      { 
-        text: 'Hire Me',
-        link: 'https://madebyaris.com/contact',
-        target: '_blank',
-        rel: 'noopener noreferrer'
-      }
-    ],
+    // Navigation bar and per-section sidebar (see ./nav.js)
+    nav,
+    sidebar,
 
-    // Enhanced sidebar with better organization
-    sidebar: {
-      '/guide/': [
-        {
-          text: 'Getting Started',
-          items: [
-            { text: 'Introduction', link: '/guide/' },
-            { text: 'Installation', link: '/guide/installation' },
-            { text: 'Getting Started', link: '/guide/getting-started' },
-            { text: 'Quick Start', link: '/guide/quick-start' }
-          ]
-        },
-        {
-          text: 'Core Concepts',
-          items: [
-            { text: 'Content Handling Modes', link: '/guide/content-handling-modes' },
-            { text: 'CSS Frameworks', link: '/guide/css-frameworks' },
-            { text: 'Framework Components', link: '/guide/framework-components' },
-            { text: 'Block Transformers', link: '/guide/custom-transformers' }
-          ]
-        },
-        {
-          text: 'Advanced Features',
-          items: [
-            { text: 'Server-Side Rendering', link: '/guide/server-side-rendering' },
-            { text: 'Performance Optimization', link: '/guide/performance' },
-            { text: 'Plugins', link: '/guide/plugins' },
-            { text: 'Lazy Loading Media', link: '/guide/lazy-loading' },
-            { text: 'Bundle Size Optimization', link: '/guide/bundle-size' }
-          ]
-        },
-        {
-          text: 'Migration Guides',
-          items: [
-            { text: 'WordPress to Headless', link: '/guide/migration-guide' },
-          ]
-        }
-      ],
-      '/api/': [
-        {
-          text: 'API Reference',
-          items: [
-            { text: 'Overview', link: '/api/' },
-            { text: 'Core Functions', link: '/api/core-functions' },
-            { text: 'Configuration', link: '/api/configuration' }
-          ]
-        },
-        {
-          text: 'Developer Documentation',
-          items: [
-            { text: 'Developer Guide', link: '/api/developer' },
-            { text: 'Internal Architecture', link: '/api/internal-architecture' },
-            { text: 'Plugin Development', link: '/api/plugin-development' },
-            { text: 'Contribution Guidelines', link: '/api/contribution-guidelines' },
-            { text: 'Performance Optimization', link: '/api/performance-optimization' },
-            { text: 'Testing Guide', link: '/api/testing-guide' }
-          ]
-        },
-        {
-          text: 'Block Handlers',
-          collapsed: true,
-          items: [
-            { text: 'Text Blocks', link: '/api/blocks/text' },
-            { text: 'Media Blocks', link: '/api/blocks/media' },
-            { text: 'Layout Blocks', link: '/api/blocks/layout' }
-          ]
-        },
-        {
-          text: 'TypeScript',
-          collapsed: true,
-          items: [
-            { text: 'Interfaces', link: '/api/typescript/interfaces' },
-            { text: 'Types', link: '/api/typescript/types' }
-          ]
-        }
-      ],
-      '/frameworks/': [
-        {
-          text: 'Framework Integration',
-          items: [
-            { text: 'Overview', link: '/frameworks/' },
-            { text: 'React', link: '/frameworks/react' },
-            { text: 'Vue', link: '/frameworks/vue' },
-            { text: 'Next.js', link: '/frameworks/nextjs' },
-            { text: 'Gatsby', link: '/frameworks/gatsby' },
-            { text: 'Svelte', link: '/frameworks/svelte' },
-            { text: 'Angular', link: '/frameworks/angular' }
-          ]
-        }
-      ],
-      '/examples/': [
-        {
-          text: 'Examples',
-          items: [
-            { text: 'Basic Examples', link: '/examples/' },
-            { text: 'CSS Framework Examples', link: '/examples/css-frameworks' },
-            { text: 'Advanced Examples', link: '/examples/advanced' }
-          ]
-        }
-      ]
-    },
+    // Documented versions and their pages, for the version switcher and
+    // banner (see ./versions.js)
+    versions: versionsThemeConfig(dirname(configDir)),
 
     // Enhanced social links with hover effects
     socialLinks: [
@@ -261,68 +135,17 @@ export default defineConfig({
       }
     ],
 
-    // Enhanced search with better UI
-    search: {
-      provider: 'local',
-      options: {
-        detailedView: true,
-        miniSearch: {
-          options: {
-            storeFields: ['title', 'headings', 'content'],
-            searchOptions: {
-              prefix: true,
-              fuzzy: 0.2
-            }
-          }
-        }
-      }
-    },
-
-    // Enhanced footer with better styling
-    footer: {
-      message: 'Released under the MIT License.',
-      copyright: 'Copyright © 2025 madebyaris.com'
-    },
-    
-    // Enhanced edit link
-    editLink: {
-      pattern: 'https://github.com/madebyaris/wp-block-to-html-docs/edit/master/docs/:path',
-      text: 'Improve this page',
-      ariaLabel: 'Edit page on GitHub'
-    },
-
-    // Enhanced last updated
-    lastUpdated: {
-      text: 'Updated at',
-      formatOptions: {
-        dateStyle: 'full',
-        timeStyle: 'medium'
-      }
-    },
-
-    // Enhanced doc footer
-    docFooter: {
-      prev: '← Previous page',
-      next: 'Next page →'
-    },
+    // Local search (see ./search.js)
+    search,
 
-    // Enhanced sidebar menu
-    sidebarMenuLabel: 'Menu',
-    returnToTopLabel: 'Return to top',
+    // Footer, edit link, last updated, doc footer and menu labels, in English
+    // (translations override them in `locales`)
+    ...localeThemeConfig(defaultLocale),
+    // The language menu links to each language's home page. Most pages
+    // aren't translated yet, so the same page in another language would
+    // usually be a 404.
+    i18nRouting: false,
     sidebarCollapsible: true,
-    outlineTitle: 'On this page',
-    outline: 'deep',
-    
-    // Enhanced mobile menu
-    mobileMenu: {
-      text: 'Menu',
-      ariaLabel: 'Menu'
-    },
-
-    // Enhanced navigation
-    navMenu: {
-      text: 'Navigation',
-      ariaLabel: 'Navigation'
-    }
+    outline: 'deep'
   }
 }) 
\ No newline at end of file
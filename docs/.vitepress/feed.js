@@ -0,0 +1,81 @@
+import { writeFileSync } from 'fs'
+import { resolve } from 'path'
+import { changeTypes, releaseAnchor, releases } from './changelog.js'
+import { siteMeta } from './site-meta.js'
+
+// Served from the site root and linked from every page's head (see ./seo.js)
+export const feedPath = '/feed.xml'
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Change notes are written with `code` spans and nothing else
+function changeHtml(text) {
+  return escapeXml(text).replace(/`([^`]+)`/g, '<code>$1</code>')
+}
+
+/**
+ * A release's entry content: its summary and changes grouped by type, as
+ * they're listed on /changelog
+ */
+function entryHtml(release) {
+  const groups = Object.entries(changeTypes)
+    .map(([type, heading]) => [heading, release.changes.filter(change => change.type === type)])
+    .filter(([, changes]) => changes.length)
+    .map(([heading, changes]) => `<h3>${heading}</h3><ul>${changes.map(change => `<li>${changeHtml(change.text)}</li>`).join('')}</ul>`)
+
+  return `<p>${changeHtml(release.summary)}</p>${groups.join('')}`
+}
+
+/**
+ * The Atom feed of releases (see ./changelog.js). Releases without a date
+ * are left out, and the feed is only as new as its newest release, so it
+ * doesn't change from one build to the next unless a release is added.
+ */
+export function releaseFeed(siteUrl = siteMeta.url) {
+  const dated = releases.filter(release => release.date)
+  const updated = dated.length ? `${dated[0].date}T00:00:00Z` : '1970-01-01T00:00:00Z'
+
+  const entries = dated.map(release => {
+    const link = `${siteUrl}/changelog#${releaseAnchor(release.version)}`
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(`${siteMeta.packageName} ${release.version}`)}</title>`,
+      `    <id>${link}</id>`,
+      `    <link rel="alternate" type="text/html" href="${link}"/>`,
+      `    <updated>${release.date}T00:00:00Z</updated>`,
+      `    <summary>${escapeXml(release.summary)}</summary>`,
+      `    <content type="html">${escapeXml(entryHtml(release))}</content>`,
+      '  </entry>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(`${siteMeta.name} releases`)}</title>`,
+    `  <subtitle>${escapeXml(`New releases of ${siteMeta.packageName}`)}</subtitle>`,
+    `  <id>${siteUrl}${feedPath}</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${siteUrl}${feedPath}"/>`,
+    `  <link rel="alternate" type="text/html" href="${siteUrl}/changelog"/>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeXml(siteMeta.author.name)}</name><uri>${siteMeta.author.url}</uri></author>`,
+    `  <icon>${siteUrl}/logo.svg</icon>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Write feed.xml into the build output. Called from `buildEnd`, like the
+ * sitemap.
+ */
+export function writeFeed({ outDir }) {
+  writeFileSync(resolve(outDir, feedPath.slice(1)), releaseFeed())
+}
@@ -0,0 +1,105 @@
+import { frameworkKey } from './theme/useFramework.js'
+
+const OPEN = /^:::\s*framework-tabs\s*$/
+const TAB = /^==\s+(.+?)\s*$/
+const FENCE = /^(`{3,}|~{3,})/
+
+/**
+ * `::: framework-tabs` containers: the same example for several frameworks,
+ * shown as synced tabs by the FrameworkTabs theme component. Each `== Label`
+ * line starts a tab; anything markdown can go in it:
+ *
+ *   ::: framework-tabs
+ *   == React
+ *   ```jsx
+ *   ...
+ *   ```
+ *   == Vue
+ *   ...
+ *   :::
+ *
+ * Labels become the tab keys (`Next.js` -> `nextjs`) that the reader's
+ * choice is remembered by, so use the same label for a framework everywhere.
+ */
+export function frameworkTabsMarkdown(md) {
+  md.block.ruler.before('fence', 'framework_tabs', (state, startLine, endLine, silent) => {
+    const lineText = line => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line])
+
+    if (state.sCount[startLine] - state.blkIndent >= 4 || !OPEN.test(lineText(startLine))) return false
+
+    // Find the closing `:::`, stepping over fences and nested containers, and
+    // the `== Label` lines that start each tab
+    const tabs = []
+    let fence = null
+    let depth = 0
+    let closeLine = -1
+
+    for (let line = startLine + 1; line < endLine; line++) {
+      if (state.sCount[line] < state.blkIndent) break
+      const text = lineText(line)
+
+      const fenceMatch = text.match(FENCE)
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1]
+        else if (text.trim().startsWith(fence) && text.trim().replace(/[`~]/g, '') === '') fence = null
+        continue
+      }
+      if (fence) continue
+
+      if (/^:::+\s*\S/.test(text)) {
+        depth++
+      } else if (/^:::+\s*$/.test(text)) {
+        if (depth === 0) {
+          closeLine = line
+          break
+        }
+        depth--
+      } else if (depth === 0 && TAB.test(text)) {
+        const label = text.match(TAB)[1]
+        tabs.push({ key: frameworkKey(label), label, line })
+      }
+    }
+
+    if (closeLine === -1 || !tabs.length) return false
+    if (silent) return true
+
+    const oldParent = state.parentType
+    const oldLineMax = state.lineMax
+    state.parentType = 'framework_tabs'
+
+    // Anything before the first tab goes above the tabs
+    state.lineMax = tabs[0].line
+    state.md.block.tokenize(state, startLine + 1, tabs[0].line)
+
+    const open = state.push('framework_tabs_open', 'div', 1)
+    open.block = true
+    open.map = [startLine, closeLine + 1]
+    open.meta = { tabs: tabs.map(({ key, label }) => ({ key, label })) }
+
+    tabs.forEach((tab, index) => {
+      const end = index + 1 < tabs.length ? tabs[index + 1].line : closeLine
+
+      const tabOpen = state.push('framework_tab_open', 'template', 1)
+      tabOpen.block = true
+      tabOpen.meta = { key: tab.key }
+
+      state.lineMax = end
+      state.md.block.tokenize(state, tab.line + 1, end)
+
+      state.push('framework_tab_close', 'template', -1).block = true
+    })
+
+    state.push('framework_tabs_close', 'div', -1).block = true
+
+    state.parentType = oldParent
+    state.lineMax = oldLineMax
+    state.line = closeLine + 1
+    return true
+  }, { alt: ['paragraph', 'reference', 'blockquote', 'list'] })
+
+  md.renderer.rules.framework_tabs_open = (tokens, index) =>
+    `<FrameworkTabs :tabs="${md.utils.escapeHtml(JSON.stringify(tokens[index].meta.tabs))}">\n`
+  md.renderer.rules.framework_tabs_close = () => '</FrameworkTabs>\n'
+  md.renderer.rules.framework_tab_open = (tokens, index) => `<template #${tokens[index].meta.key}>\n`
+  md.renderer.rules.framework_tab_close = () => '</template>\n'
+}
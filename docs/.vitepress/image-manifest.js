@@ -0,0 +1,72 @@
+import { cpSync, existsSync, readFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+
+const vitepressDir = dirname(fileURLToPath(import.meta.url))
+
+// Written by scripts/generate-images.js: every icon and social image variant
+// generated from docs/public/logo.svg, with its type, sizes and content hash
+export const imageManifestPath = join(vitepressDir, 'image-manifest.json')
+
+// Per-page Open Graph cards, also rendered by scripts/generate-images.js.
+// They're build output rather than source, so they're kept with the build
+// cache and copied to /og/ in the built site by `copyPageCards`.
+export const pageCardsDir = join(vitepressDir, 'cache/og')
+
+export const imageManifest = existsSync(imageManifestPath)
+  ? JSON.parse(readFileSync(imageManifestPath, 'utf-8'))
+  : { source: null, icons: [], social: {} }
+
+/**
+ * A page's card, relative to pageCardsDir and to /og/ on the site, e.g.
+ * `guide/index.md` -> `guide/index.png`
+ */
+export function pageCardFile(relativePath) {
+  return relativePath.replace(/\.md$/, '.png')
+}
+
+/**
+ * Copy the rendered page cards into the build output
+ */
+export function copyPageCards({ outDir }) {
+  if (existsSync(pageCardsDir)) {
+    cpSync(pageCardsDir, join(outDir, 'og'), { recursive: true })
+  }
+}
+
+/**
+ * `og:image` entries for a site-wide social image and its WebP and AVIF
+ * copies, each followed by its type and size. The PNG comes first, since
+ * crawlers take the first image they can read and all of them read PNG.
+ */
+export function socialImageHead(name, siteUrl, manifest = imageManifest) {
+  return (manifest.social[name] || []).flatMap(image => [
+    ['meta', { property: 'og:image', content: siteUrl + image.src }],
+    ['meta', { property: 'og:image:type', content: image.type }],
+    ['meta', { property: 'og:image:width', content: String(image.width) }],
+    ['meta', { property: 'og:image:height', content: String(image.height) }]
+  ])
+}
+
+/**
+ * `head` entries for the favicons and apple-touch-icon. The SVG logo is
+ * offered first so browsers that support it never fetch the .ico; the PWA
+ * icons belong in the web app manifest instead.
+ */
+export function iconHead(manifest = imageManifest) {
+  const head = []
+
+  if (manifest.source) {
+    head.push(['link', { rel: 'icon', href: manifest.source.src, type: manifest.source.type }])
+  }
+
+  for (const icon of manifest.icons) {
+    if (icon.purpose === 'favicon') {
+      head.push(['link', { rel: 'icon', href: icon.src, sizes: icon.sizes }])
+    } else if (icon.purpose === 'apple-touch-icon') {
+      head.push(['link', { rel: 'apple-touch-icon', href: icon.src, sizes: icon.sizes }])
+    }
+  }
+
+  return head
+}
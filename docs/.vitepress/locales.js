@@ -0,0 +1,160 @@
+import { existsSync } from 'fs'
+import { join } from 'path'
+
+// Languages the docs are published in. English lives at the site root; each
+// translation mirrors its pages under `/<dir>/` (e.g. `id/guide/installation.md`
+// translates `guide/installation.md`). Pages that haven't been translated
+// yet simply don't exist in the locale, and nav links fall back to English.
+export const locales = [
+  {
+    key: 'root',
+    dir: '',
+    lang: 'en-US',
+    label: 'English',
+    nav: {
+      home: 'Home',
+      guide: 'Guide',
+      api: 'API',
+      examples: 'Examples',
+      frameworks: 'Frameworks',
+      hire: 'Hire Me'
+    },
+    labels: {
+      footer: 'Released under the MIT License.',
+      editLink: 'Improve this page',
+      editLinkAria: 'Edit page on GitHub',
+      lastUpdated: 'Updated at',
+      prev: '← Previous page',
+      next: 'Next page →',
+      sidebarMenu: 'Menu',
+      returnToTop: 'Return to top',
+      outline: 'On this page',
+      navMenu: 'Navigation',
+      langMenu: 'Change language',
+      darkModeSwitch: 'Appearance'
+    }
+  },
+  {
+    key: 'id',
+    dir: 'id',
+    lang: 'id-ID',
+    label: 'Bahasa Indonesia',
+    nav: {
+      home: 'Beranda',
+      guide: 'Panduan',
+      api: 'API',
+      examples: 'Contoh',
+      frameworks: 'Framework',
+      hire: 'Rekrut Saya'
+    },
+    labels: {
+      footer: 'Dirilis di bawah Lisensi MIT.',
+      editLink: 'Perbaiki halaman ini',
+      editLinkAria: 'Sunting halaman di GitHub',
+      lastUpdated: 'Diperbarui pada',
+      prev: '← Halaman sebelumnya',
+      next: 'Halaman berikutnya →',
+      sidebarMenu: 'Menu',
+      returnToTop: 'Kembali ke atas',
+      outline: 'Di halaman ini',
+      navMenu: 'Navigasi',
+      langMenu: 'Ganti bahasa',
+      darkModeSwitch: 'Tampilan'
+    },
+    search: {
+      button: { buttonText: 'Cari', buttonAriaLabel: 'Cari' },
+      modal: {
+        displayDetails: 'Tampilkan detail',
+        resetButtonTitle: 'Hapus pencarian',
+        backButtonTitle: 'Tutup pencarian',
+        noResultsText: 'Tidak ada hasil untuk',
+        footer: {
+          selectText: 'pilih',
+          navigateText: 'navigasi',
+          closeText: 'tutup'
+        }
+      }
+    }
+  }
+]
+
+export const defaultLocale = locales[0]
+
+/**
+ * The locale a page belongs to, from its relative source path
+ */
+export function localeOf(relativePath) {
+  return locales.find(locale => locale.dir && relativePath.startsWith(`${locale.dir}/`)) || defaultLocale
+}
+
+/**
+ * The English source a page translates, e.g. `id/guide/installation.md` ->
+ * `guide/installation.md`
+ */
+export function sourceOf(relativePath) {
+  const { dir } = localeOf(relativePath)
+  return dir ? relativePath.slice(dir.length + 1) : relativePath
+}
+
+/**
+ * A page's path in another locale, e.g. `guide/installation.md` in `id` ->
+ * `id/guide/installation.md`
+ */
+export function pathInLocale(locale, relativePath) {
+  const source = sourceOf(relativePath)
+  return locale.dir ? `${locale.dir}/${source}` : source
+}
+
+/**
+ * Every existing language version of a page (including the page itself), as
+ * `{ lang, relativePath }`. Used for hreflang alternates in the head and the
+ * sitemap.
+ */
+export function pageAlternates(srcDir, relativePath) {
+  return locales
+    .map(locale => ({ lang: locale.lang, relativePath: pathInLocale(locale, relativePath) }))
+    .filter(alternate => existsSync(join(srcDir, alternate.relativePath)))
+}
+
+/**
+ * The translated theme labels for a locale, in VitePress themeConfig form
+ */
+export function localeThemeConfig(locale) {
+  const { labels } = locale
+
+  return {
+    footer: {
+      message: labels.footer,
+      copyright: 'Copyright © 2025 madebyaris.com'
+    },
+    editLink: {
+      pattern: 'https://github.com/madebyaris/wp-block-to-html-docs/edit/master/docs/:path',
+      text: labels.editLink,
+      ariaLabel: labels.editLinkAria
+    },
+    lastUpdated: {
+      text: labels.lastUpdated,
+      formatOptions: {
+        dateStyle: 'full',
+        timeStyle: 'medium'
+      }
+    },
+    docFooter: {
+      prev: labels.prev,
+      next: labels.next
+    },
+    sidebarMenuLabel: labels.sidebarMenu,
+    returnToTopLabel: labels.returnToTop,
+    outlineTitle: labels.outline,
+    langMenuLabel: labels.langMenu,
+    darkModeSwitchLabel: labels.darkModeSwitch,
+    mobileMenu: {
+      text: labels.sidebarMenu,
+      ariaLabel: labels.sidebarMenu
+    },
+    navMenu: {
+      text: labels.navMenu,
+      ariaLabel: labels.navMenu
+    }
+  }
+}
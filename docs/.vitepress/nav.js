@@ -0,0 +1,90 @@
+import { existsSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { defaultLocale } from './locales.js'
+import { sectionDirs } from './sections.js'
+import { generateSidebar } from './sidebar.js'
+import { versions } from './versions.js'
+
+const srcDir = dirname(dirname(fileURLToPath(import.meta.url)))
+
+// Top navigation bar, shared by every locale. `key` picks the item's label
+// from the locale's `nav` strings (see ./locales.js).
+const navItems = [
+  { key: 'home', link: '/' },
+  { key: 'guide', link: '/guide/' },
+  { key: 'api', link: '/api/' },
+  { key: 'examples', link: '/examples/' },
+  { key: 'frameworks', link: '/frameworks/' },
+  // Links to the current page in each documented version (see ./versions.js),
+  // once there is more than one
+  ...(versions.length > 1 ? [{ component: 'VersionSwitcher' }] : []),
+  // Saves the docs for offline reading (see ./theme/useOffline.js)
+  { component: 'OfflineMenu' },
+  {
+    key: 'hire',
+    link: 'https://madebyaris.com/contact',
+    target: '_blank',
+    rel: 'noopener noreferrer'
+  }
+]
+
+/**
+ * Point an internal link at the locale's translation of the page, or keep
+ * the English page when it hasn't been translated
+ */
+function localizeLink(locale, link) {
+  if (!locale.dir || !link.startsWith('/')) return link
+
+  const source = link.endsWith('/') ? `${link.slice(1)}index.md` : `${link.slice(1)}.md`
+  return existsSync(join(srcDir, locale.dir, source)) ? `/${locale.dir}${link}` : link
+}
+
+/**
+ * The nav bar with a locale's labels and links
+ */
+export function navFor(locale) {
+  return navItems.map(({ key, ...item }) =>
+    key ? { text: locale.nav[key], ...item, link: localizeLink(locale, item.link) } : item
+  )
+}
+
+// Sidebar per top-level section (see ./sections.js)
+export { sectionDirs }
+
+// Other versions of the docs get sidebars for whichever sections they have
+const versionedSectionDirs = versions
+  .filter(version => version.dir)
+  .flatMap(version => sectionDirs.map(section => `${version.dir}/${section}`))
+
+/**
+ * Sidebars for a locale, covering whichever sections it has translated.
+ * English also gets the sidebars of the other doc versions.
+ */
+export function sidebarFor(locale) {
+  const dirs = locale.dir
+    ? sectionDirs.map(section => `${locale.dir}/${section}`)
+    : [...sectionDirs, ...versionedSectionDirs]
+
+  return generateSidebar(srcDir, dirs.filter(dir => existsSync(join(srcDir, dir))))
+}
+
+export const nav = navFor(defaultLocale)
+export const sidebar = sidebarFor(defaultLocale)
+
+/**
+ * The pages in a section's sidebar, in sidebar order, as `{ text, link, group }`
+ * (`group` is the sidebar group's title, or null for top-level pages)
+ */
+export function sidebarLinks(section, sidebars = sidebar) {
+  const links = []
+  const walk = (items, group) => {
+    for (const item of items) {
+      if (item.items) walk(item.items, item.text)
+      else links.push({ text: item.text, link: item.link, group })
+    }
+  }
+  walk(sidebars[`/${section}/`] || [], null)
+
+  return links
+}
@@ -0,0 +1,23 @@
+// Old URLs of pages that were moved, renamed or merged, and where they live
+// now. Links to the old URLs are out there in issues and blog posts, so an
+// entry stays here for as long as the site exists.
+//
+// `from` is the old URL path, as pageUrl in ./seo.js would give it (no
+// `.html`; a directory index ends in `/`). `to` is the page it moved to,
+// optionally with an `#anchor` when it was merged into another page. The
+// redirects step of scripts/build.js checks them (see
+// scripts/redirects.js), writes a redirecting page for each and the
+// redirect files some hosts read, and the sitemap leaves them out.
+export const redirects = [
+  // The TypeScript overview became the index of the generated reference
+  { from: '/api/typescript', to: '/api/typescript/' },
+  // Merged into the server-side rendering guide
+  { from: '/guide/ssr-optimizations', to: '/guide/server-side-rendering#ssr-optimizations' }
+]
+
+/**
+ * Whether a URL path is the old URL of a page that moved
+ */
+export function isRedirected(path) {
+  return redirects.some(redirect => redirect.from === path)
+}
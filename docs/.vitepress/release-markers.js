@@ -0,0 +1,39 @@
+// `[since: 1.5.0]` / `[deprecated: 1.1.0]` in a heading or paragraph
+export const releaseMarker = /\[(since|deprecated):\s*(\d+\.\d+(?:\.\d+)?)\]/g
+
+/**
+ * Inline `[since: x.y.z]` and `[deprecated: x.y.z]` markers, rendered as
+ * ReleaseBadge theme components linking to the release on /changelog:
+ *
+ *   ### ssrOptions.lazyMedia [since: 1.5.0]
+ *
+ * The badge is HTML, so it isn't part of the heading's anchor or its outline
+ * entry. Whole pages are marked with `since`/`deprecated` frontmatter
+ * instead; scripts/changelog.js lists both under their release.
+ */
+export function releaseMarkersMarkdown(md) {
+  const marker = new RegExp(`^${releaseMarker.source}`)
+
+  md.inline.ruler.before('link', 'release_marker', (state, silent) => {
+    if (state.src.charCodeAt(state.pos) !== 0x5B /* [ */) return false
+
+    const match = state.src.slice(state.pos).match(marker)
+    if (!match) return false
+
+    if (!silent) {
+      const token = state.push('html_inline', '', 0)
+      token.content = `<ReleaseBadge type="${match[1]}" version="${match[2]}" />`
+    }
+    state.pos += match[0].length
+    return true
+  })
+
+  // The heading's permalink is labelled with its raw text
+  md.core.ruler.after('inline', 'release_marker_heading', (state) => {
+    state.tokens.forEach((token, index) => {
+      if (token.type === 'inline' && state.tokens[index - 1]?.type === 'heading_open') {
+        token.content = token.content.replace(releaseMarker, '').replace(/\s{2,}/g, ' ').trim()
+      }
+    })
+  })
+}
@@ -0,0 +1,62 @@
+import { locales } from './locales.js'
+import { latestVersion, versionOf } from './versions.js'
+
+// Local (MiniSearch) full-text search
+export const search = {
+  provider: 'local',
+  options: {
+    detailedView: true,
+    // Only the latest docs are indexed, so older versions don't crowd the
+    // results with near-identical pages
+    _render(src, env, md) {
+      const html = md.render(src, env)
+      if (env.frontmatter?.search === false || versionOf(env.relativePath) !== latestVersion) return ''
+      return html
+    },
+    // These functions are sent to the browser as source, so they can't use
+    // anything from outside their own bodies
+    miniSearch: {
+      options: {
+        // Words are indexed whole and, when they are identifiers, in parts
+        // too: `core/paragraph` as `core/paragraph`, `core` and `paragraph`;
+        // `convertBlocks` as `convertblocks`, `convert` and `blocks`
+        tokenize(text) {
+          const words = text.split(/[^\p{L}\p{N}_$./-]+/u)
+            .map(word => word.replace(/^[./-]+|[./-]+$/g, ''))
+            .filter(Boolean)
+
+          return words.flatMap(word => {
+            const parts = word.split(/[./-]+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u).filter(Boolean)
+            return parts.length > 1 ? [word, ...parts] : [word]
+          })
+        }
+      },
+      searchOptions: {
+        // Queries are only split into words, so searching for a symbol
+        // matches the symbol rather than every page mentioning its parts
+        tokenize(text) {
+          return text.split(/[^\p{L}\p{N}_$./-]+/u)
+            .map(word => word.replace(/^[./-]+|[./-]+$/g, ''))
+            .filter(Boolean)
+        },
+        prefix: true,
+        fuzzy: 0.2,
+        // Matches in a section's heading outrank matches in its text
+        boost: { title: 6, titles: 2, text: 1 },
+        // Prefer the API reference, and above all sections documenting the
+        // searched symbol: `convertBlocks()`, `ssrOptions.enabled`, ...
+        boostDocument(id, term, { title = '' } = {}) {
+          const isSymbol = /^[a-z][\w$]*(?:[./][\w$-]+)*(?:\(\))?$/i.test(title) &&
+            /[a-z][A-Z]|[./]|\(\)/.test(title)
+          let boost = id.includes('/api/') ? 1.5 : 1
+          if (isSymbol && title.toLowerCase().includes(term)) boost *= 2
+          return boost
+        }
+      }
+    },
+    // Search UI strings for each translation (see ./locales.js)
+    locales: Object.fromEntries(
+      locales.filter(locale => locale.search).map(locale => [locale.key, { translations: locale.search }])
+    )
+  }
+}
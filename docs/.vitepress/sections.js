@@ -0,0 +1,5 @@
+// Top-level sections of the docs, each with its own sidebar generated from
+// its pages' `group`, `order`, `label` and `collapsed` frontmatter (see
+// ./sidebar.js). Kept free of imports so scripts can list the section pages
+// without loading the site config (see scripts/pages.js).
+export const sectionDirs = ['guide', 'api', 'frameworks', 'examples']
@@ -0,0 +1,201 @@
+import { existsSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { feedPath } from './feed.js'
+import { iconHead, pageCardFile, pageCardsDir, socialImageHead } from './image-manifest.js'
+import { defaultLocale, localeOf, pageAlternates } from './locales.js'
+import { siteMeta } from './site-meta.js'
+import { pageStructuredData } from './structured-data.js'
+import { latestEquivalent, latestVersion, versionOf, versions } from './versions.js'
+import { themeColor, webManifestPath } from './web-manifest.js'
+
+const srcDir = dirname(dirname(fileURLToPath(import.meta.url)))
+
+export const siteUrl = siteMeta.url
+
+const defaultTitle = `${siteMeta.name} - Convert WordPress Blocks to HTML with Ease`
+const defaultDescription = siteMeta.description
+
+// Site-wide head entries. Everything that differs per page (canonical, og:*,
+// twitter:title/description/image, JSON-LD) is added by `pageHead` below.
+export const head = [
+  // Google Search Console verification
+  ['meta', { name: 'google-site-verification', content: 'z22g2gK0FXnAQPKx2lZdwGzJ4VssZYWjZDON_oJTgss' }],
+
+  ['meta', { name: 'theme-color', content: themeColor }],
+  ['meta', { name: 'apple-mobile-web-app-capable', content: 'yes' }],
+  ['meta', { name: 'apple-mobile-web-app-status-bar-style', content: 'black' }],
+  ['meta', { name: 'author', content: siteMeta.author.name }],
+  ['meta', { name: 'keywords', content: 'wordpress, gutenberg, blocks, headless, html, react, vue, nextjs, gatsby, tailwind, bootstrap' }],
+
+  // Open Graph / Facebook
+  ['meta', { property: 'og:site_name', content: siteMeta.name }],
+
+  // Twitter
+  ['meta', { name: 'twitter:card', content: 'summary_large_image' }],
+  ['meta', { name: 'twitter:site', content: '@arisberikut' }],
+  ['meta', { name: 'twitter:creator', content: '@arisberikut' }],
+
+  // Favicons, as generated by scripts/generate-images.js
+  ...iconHead(),
+
+  // Installable as an app, and readable offline through the service worker
+  // (see ./web-manifest.js and scripts/service-worker.js)
+  ['link', { rel: 'manifest', href: webManifestPath }],
+
+  // Atom feed of releases (see ./feed.js)
+  ['link', { rel: 'alternate', type: 'application/atom+xml', title: `${siteMeta.name} releases`, href: feedPath }]
+]
+
+// canonical URL -> pages that rendered with it, filled in during the build
+const canonicals = new Map()
+
+/**
+ * Turn a page's relative source path into the URL it is served at
+ * e.g. `guide/index.md` -> `/guide/`, `guide/hydration.md` -> `/guide/hydration`
+ */
+export function pageUrl(relativePath) {
+  return '/' + relativePath
+    .replace(/(^|\/)index\.md$/, '$1')
+    .replace(/\.md$/, '')
+}
+
+/**
+ * Work out a page's SEO metadata from its route and frontmatter.
+ * Used as `transformPageData`, so the result is available as `pageData.seo`
+ * to the head, the sitemap and the theme.
+ *
+ * Frontmatter overrides:
+ * - `canonical`: absolute URL or site path this page is a duplicate of
+ * - `noindex`: keep the page out of search results and the sitemap
+ * - `ogType`: Open Graph type, e.g. `article` (defaults to `website`)
+ *
+ * Pages in older (or unreleased) versions of the docs are canonicalized to
+ * the same page in the latest version, when it has one. The docs directory
+ * and version list can be swapped for a fixture (see test/versions.test.js).
+ */
+export function pageSeo(pageData, { docsDir = srcDir, versionList = versions } = {}) {
+  const { frontmatter } = pageData
+  const url = siteUrl + pageUrl(pageData.relativePath)
+
+  const version = versionOf(pageData.relativePath, versionList)
+
+  let canonical = url
+  if (frontmatter.canonical) {
+    canonical = /^https?:\/\//.test(frontmatter.canonical)
+      ? frontmatter.canonical
+      : siteUrl + frontmatter.canonical
+  } else if (version.status !== 'latest') {
+    const latest = latestEquivalent(docsDir, pageData.relativePath, versionList)
+    if (latest) canonical = siteUrl + pageUrl(latest)
+  }
+
+  const isHome = frontmatter.layout === 'home'
+
+  return {
+    seo: {
+      url,
+      canonical,
+      version: version.name,
+      locale: localeOf(pageData.relativePath).key,
+      noindex: frontmatter.noindex === true,
+      type: frontmatter.ogType || 'website',
+      title: isHome || !pageData.title ? defaultTitle : `${pageData.title} | ${siteMeta.name}`,
+      description: pageData.description || defaultDescription
+    }
+  }
+}
+
+/**
+ * Social card images for a page, with the `og:image` entries for them.
+ * Pages get the card that `scripts/generate-images.js` rendered for them,
+ * served under /og/; home layouts, and pages whose card hasn't been
+ * generated yet, use the site-wide images and their WebP and AVIF copies.
+ */
+export function socialImages(pageData) {
+  const card = pageCardFile(pageData.relativePath)
+
+  if (pageData.frontmatter.layout !== 'home' && existsSync(join(pageCardsDir, card))) {
+    const og = `${siteUrl}/og/${card}`
+    return { og, twitter: og, ogHead: [['meta', { property: 'og:image', content: og }]] }
+  }
+
+  const og = `${siteUrl}/og-image.png`
+  const ogHead = socialImageHead('og-image', siteUrl)
+  return {
+    og,
+    twitter: `${siteUrl}/twitter-card.png`,
+    ogHead: ogHead.length ? ogHead : [['meta', { property: 'og:image', content: og }]]
+  }
+}
+
+/**
+ * Per-page head entries, appended to the site-wide `head` by `transformHead`
+ */
+export function pageHead({ pageData, siteData, content }) {
+  const { seo } = pageData
+
+  // The built-in 404 page isn't a markdown file, so it never went through
+  // `transformPageData`
+  if (!seo) return
+
+  const images = socialImages(pageData)
+
+  // Deliberate duplicates should be marked `noindex` rather than share a
+  // canonical with the page they copy. Older versions of a page are the
+  // exception: they point at the latest version on purpose.
+  const superseded = seo.version !== latestVersion.name && seo.canonical !== seo.url
+  if (!seo.noindex && !superseded) {
+    canonicals.set(seo.canonical, [...(canonicals.get(seo.canonical) || []), pageData.relativePath])
+  }
+
+  const head = [
+    ['link', { rel: 'canonical', href: seo.canonical }],
+    ['meta', { property: 'og:type', content: seo.type }],
+    ['meta', { property: 'og:title', content: seo.title }],
+    ['meta', { property: 'og:description', content: seo.description }],
+    ['meta', { property: 'og:url', content: seo.canonical }],
+    ...images.ogHead,
+    ['meta', { name: 'twitter:title', content: seo.title }],
+    ['meta', { name: 'twitter:description', content: seo.description }],
+    ['meta', { name: 'twitter:image', content: images.twitter }]
+  ]
+
+  if (seo.noindex) {
+    head.push(['meta', { name: 'robots', content: 'noindex, follow' }])
+  }
+
+  // Every language version of the page, English doubling as the default
+  const alternates = pageAlternates(srcDir, pageData.relativePath)
+  if (alternates.length > 1) {
+    for (const { lang, relativePath } of alternates) {
+      head.push(['link', { rel: 'alternate', hreflang: lang, href: siteUrl + pageUrl(relativePath) }])
+    }
+    const english = alternates.find(alternate => alternate.lang === defaultLocale.lang)
+    if (english) {
+      head.push(['link', { rel: 'alternate', hreflang: 'x-default', href: siteUrl + pageUrl(english.relativePath) }])
+    }
+  }
+
+  for (const data of pageStructuredData({ pageData, content, image: images.og, siteUrl, siteData })) {
+    // Escape `<` so page text can never close the script element early
+    head.push(['script', { type: 'application/ld+json' }, JSON.stringify(data).replace(/</g, '\\u003c')])
+  }
+
+  return head
+}
+
+/**
+ * Fail the build when two pages ended up with the same canonical URL,
+ * since search engines would treat one of them as a duplicate
+ */
+export function assertUniqueCanonicals() {
+  const duplicates = [...canonicals].filter(([, pages]) => pages.length > 1)
+
+  if (duplicates.length) {
+    const report = duplicates
+      .map(([url, pages]) => `  ${url}\n${pages.map(page => `    - ${page}`).join('\n')}`)
+      .join('\n')
+    throw new Error(`Duplicate canonical URLs:\n${report}`)
+  }
+}
@@ -0,0 +1,202 @@
+// Service worker for the built docs. scripts/service-worker.js writes it into
+// the build output as /sw.js, preceded by the build's file lists as
+// `self.__OFFLINE__`:
+//
+//   version  hash of the build's files. Caches are named after it, so a new
+//            build starts with fresh caches and the previous build's are
+//            deleted once the new worker takes over.
+//   shell    what the home page loads up front, the 404 page and the search
+//            index; cached on install
+//   files    every page and asset, cached when the reader saves the whole
+//            docs for offline reading (see theme/useOffline.js), and their
+//            total size in `bytes`
+//
+// Pages come from the network first and from the cache when that fails.
+// Files under /assets/ have content hashes in their names and never change,
+// so the cache is tried first for them. Whatever is fetched is cached, so
+// pages read once can be read again offline.
+
+const { version, shell, files, bytes } = self.__OFFLINE__
+
+const PREFIX = 'wp-block-to-html-docs'
+const SHELL_CACHE = `${PREFIX}-shell-${version}`
+const RUNTIME_CACHE = `${PREFIX}-runtime-${version}`
+const FULL_CACHE = `${PREFIX}-full-${version}`
+
+// Files fetched at once while caching a list
+const CONCURRENCY = 6
+
+let downloading = null
+
+/**
+ * The cache key of a URL: its path, with `.html` and `index` dropped so
+ * `/guide/hydration.html` and `/guide/hydration` are the same page
+ */
+function cacheKey(url) {
+  const { pathname } = new URL(url, self.location.origin)
+  return pathname.replace(/\/index\.html$/, '/').replace(/\.html$/, '')
+}
+
+/**
+ * A copy of a response that followed redirects, which can't be used to
+ * answer a navigation
+ */
+async function storable(response) {
+  if (!response.redirected) return response
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers: response.headers })
+}
+
+async function match(request) {
+  const key = cacheKey(request.url)
+  for (const name of [SHELL_CACHE, FULL_CACHE, RUNTIME_CACHE]) {
+    const response = await (await caches.open(name)).match(key)
+    if (response) return response
+  }
+  return null
+}
+
+async function put(request, response) {
+  const cache = await caches.open(RUNTIME_CACHE)
+  await cache.put(cacheKey(request.url), await storable(response))
+}
+
+/**
+ * Fetch the files that aren't in a cache yet into it, reporting how many
+ * are done after each batch
+ */
+async function cacheFiles(name, paths, onProgress = () => {}) {
+  const cache = await caches.open(name)
+  let done = 0
+
+  for (let index = 0; index < paths.length; index += CONCURRENCY) {
+    await Promise.all(paths.slice(index, index + CONCURRENCY).map(async path => {
+      const key = cacheKey(path)
+      if (!(await cache.match(key))) {
+        const response = await fetch(path, { cache: 'no-cache' })
+        if (!response.ok) throw new Error(`${path} responded with ${response.status}`)
+        await cache.put(key, await storable(response))
+      }
+      done++
+    }))
+    onProgress(done)
+  }
+}
+
+async function broadcast(message) {
+  for (const client of await self.clients.matchAll({ includeUncontrolled: true })) {
+    client.postMessage(message)
+  }
+}
+
+/**
+ * How much of the full download is cached, for the offline setting
+ */
+async function status() {
+  const saved = (await (await caches.open(FULL_CACHE)).keys()).length
+  return { type: 'status', version, files: files.length, bytes, saved }
+}
+
+function download() {
+  downloading ||= cacheFiles(FULL_CACHE, files, done => broadcast({ type: 'progress', done, total: files.length }))
+    .catch(error => broadcast({ type: 'download-failed', message: error.message }))
+    .finally(async () => {
+      downloading = null
+      await broadcast(await status())
+    })
+  return downloading
+}
+
+/**
+ * Shown for pages that were never cached when there's no connection
+ */
+function offlinePage() {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Offline</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 36rem; margin: 4rem auto; padding: 0 1rem; line-height: 1.6">
+<h1>You're offline</h1>
+<p>This page hasn't been saved for offline reading. Pages you've already visited still work, and you can save all of the docs from the Offline menu once you're back online.</p>
+<p><a href="/">Go to the home page</a></p>
+</body>
+</html>`
+  return new Response(html, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } })
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request)
+    if (response.ok) await put(request, response.clone())
+    return response
+  } catch {
+    return (await match(request)) || offlinePage()
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await match(request)
+  if (cached) return cached
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) await put(request, response.clone())
+    return response
+  } catch {
+    return Response.error()
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cached = await match(event.request)
+  const network = fetch(event.request)
+    .then(async response => {
+      if (response.ok) await put(event.request, response.clone())
+      return response
+    })
+    .catch(() => cached || Response.error())
+
+  if (!cached) return network
+  event.waitUntil(network)
+  return cached
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(cacheFiles(SHELL_CACHE, shell))
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const stale = (await caches.keys()).filter(name => name.startsWith(`${PREFIX}-`) && !name.endsWith(`-${version}`))
+    await Promise.all(stale.map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request))
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request))
+  } else {
+    event.respondWith(staleWhileRevalidate(event))
+  }
+})
+
+// Messages from the theme: apply a waiting update, report what's saved,
+// save everything, or remove the saved copy
+self.addEventListener('message', event => {
+  const { type } = event.data || {}
+
+  if (type === 'skip-waiting') {
+    self.skipWaiting()
+  } else if (type === 'status') {
+    event.waitUntil(status().then(message => event.source.postMessage(message)))
+  } else if (type === 'download') {
+    event.waitUntil(download())
+  } else if (type === 'remove-download') {
+    event.waitUntil(caches.delete(FULL_CACHE).then(status).then(broadcast))
+  }
+})
@@ -0,0 +1,78 @@
+import { readdirSync, readFileSync } from 'fs'
+import { join } from 'path'
+import matter from 'gray-matter'
+import { interpolateSiteMeta } from './site-meta.js'
+import { pageUrl } from './seo.js'
+
+/**
+ * Read the sidebar-related frontmatter of every page in a section directory
+ */
+function readSection(srcDir, section) {
+  return readdirSync(join(srcDir, section), { recursive: true })
+    .map(file => `${section}/${file.split(/[\\/]/).join('/')}`)
+    .filter(file => file.endsWith('.md'))
+    .map(relativePath => {
+      const { data, content } = matter(readFileSync(join(srcDir, relativePath), 'utf-8'))
+      const heading = content.match(/^#\s+(.+)$/m)
+
+      return {
+        relativePath,
+        link: pageUrl(relativePath),
+        text: interpolateSiteMeta(data.label || (heading ? heading[1].replace(/`/g, '').trim() : relativePath)),
+        group: data.group,
+        order: data.order ?? Infinity,
+        collapsed: data.collapsed,
+        hidden: data.sidebar === false
+      }
+    })
+    .filter(page => !page.hidden)
+}
+
+/**
+ * Build the sidebar for one section directory from its pages' frontmatter:
+ *
+ * - `group`: sidebar group the page is listed under (pages without one are
+ *   listed at the top level)
+ * - `order`: position within the section; groups are ordered by their
+ *   lowest-ordered page
+ * - `label`: link text, defaulting to the page's H1
+ * - `collapsed`: set on a group's first page to make the group collapsible
+ *   (`true` starts it collapsed, `false` expanded)
+ */
+export function generateSectionSidebar(srcDir, section) {
+  const pages = readSection(srcDir, section)
+    .sort((a, b) => a.order - b.order || a.text.localeCompare(b.text))
+
+  const items = []
+  const groups = new Map()
+
+  for (const page of pages) {
+    const item = { text: page.text, link: page.link }
+
+    if (!page.group) {
+      items.push(item)
+      continue
+    }
+
+    if (!groups.has(page.group)) {
+      const group = { text: page.group }
+      if (page.collapsed !== undefined) group.collapsed = page.collapsed
+      group.items = []
+      groups.set(page.group, group)
+      items.push(group)
+    }
+    groups.get(page.group).items.push(item)
+  }
+
+  return items
+}
+
+/**
+ * Sidebar for every section directory, keyed by its route prefix
+ * e.g. `{ '/guide/': [...], '/api/': [...] }`
+ */
+export function generateSidebar(srcDir, sections) {
+  return Object.fromEntries(
+    sections.map(section => [`/${section}/`, generateSectionSidebar(srcDir, section)])
+  )
+}
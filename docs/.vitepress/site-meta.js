@@ -0,0 +1,94 @@
+import { readFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { findLibrary } from '../../scripts/library.js'
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '../..')
+
+let version = null
+
+/**
+ * The version of the wp-block-to-html copy the docs are built against, found
+ * the same way as the copy scripts/build.js checks the API reference against
+ * (it passes a configured `apiReference.library` on in
+ * $WP_BLOCK_TO_HTML_PATH). Looked up on first use; without the library, the
+ * version the docs' package.json asks for stands in, so the site and scripts
+ * still load.
+ */
+function libraryVersion() {
+  if (version) return version
+
+  const library = findLibrary()
+  if (library) {
+    version = JSON.parse(readFileSync(join(library, 'package.json'), 'utf-8')).version
+  } else {
+    const { devDependencies = {} } = JSON.parse(readFileSync(join(rootDir, 'package.json'), 'utf-8'))
+    version = devDependencies['wp-block-to-html']?.replace(/^[^\d]*/, '') || 'unknown'
+    console.warn(`⚠️  wp-block-to-html not found; showing version ${version} from package.json`)
+  }
+  return version
+}
+
+// Library metadata shared by the site config, structured data, the home page
+// and scripts/generate-images.js. `version` is read from the library, so
+// nothing should hardcode it.
+export const siteMeta = {
+  name: 'WP Block to HTML',
+  packageName: 'wp-block-to-html',
+  get version() {
+    return libraryVersion()
+  },
+  description: 'A powerful utility for converting WordPress block data to framework-agnostic HTML or framework-specific components with advanced optimization features.',
+  author: {
+    name: 'Aris Setiawan',
+    url: 'https://madebyaris.com'
+  },
+  url: 'https://docs-block.madebyaris.com',
+
+  // Aggregate rating from real users, e.g.
+  // { ratingValue: 4.8, ratingCount: 120, source: 'https://...' }
+  // Left empty, the structured data carries no rating or review at all.
+  ratings: null
+}
+
+/**
+ * Replace `%key%` placeholders (e.g. `%version%`) with site metadata
+ */
+export function interpolateSiteMeta(text) {
+  return text.replace(/%(\w+)%/g, (match, key) =>
+    typeof siteMeta[key] === 'string' ? siteMeta[key] : match
+  )
+}
+
+/**
+ * markdown-it plugin applying `interpolateSiteMeta` to prose. Runs before
+ * heading anchors are generated and leaves code spans and fences untouched.
+ */
+export function siteMetaMarkdown(md) {
+  md.core.ruler.after('inline', 'site_meta', (state) => {
+    for (const token of state.tokens) {
+      // Heading anchors read their label from the raw inline content
+      if (token.type === 'inline') {
+        token.content = interpolateSiteMeta(token.content)
+      }
+      for (const child of token.children || []) {
+        if (child.type === 'text') {
+          child.content = interpolateSiteMeta(child.content)
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Apply `interpolateSiteMeta` to every string in a page's frontmatter,
+ * so home page hero/feature text can use placeholders too
+ */
+export function interpolateFrontmatter(value) {
+  if (typeof value === 'string') return interpolateSiteMeta(value)
+  if (Array.isArray(value)) return value.map(interpolateFrontmatter)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, interpolateFrontmatter(v)]))
+  }
+  return value
+}
@@ -0,0 +1,96 @@
+import { SitemapStream, streamToPromise } from 'sitemap'
+import { Readable } from 'stream'
+import { writeFileSync } from 'fs'
+import { dirname, resolve } from 'path'
+import { fileURLToPath } from 'url'
+import { pageAlternates, sourceOf } from './locales.js'
+import { isRedirected } from './redirects.js'
+import { pageUrl } from './seo.js'
+import { siteMeta } from './site-meta.js'
+import { versions } from './versions.js'
+
+const srcDir = dirname(dirname(fileURLToPath(import.meta.url)))
+
+export const hostname = process.env.NODE_ENV === 'development'
+  ? 'http://localhost:5173'
+  : siteMeta.url
+
+// Default priority/changefreq by route. The first matching rule wins, so keep
+// the more specific patterns above the section-wide ones. A page can override
+// either value with `sitemap: { priority, changefreq }` in its frontmatter, or
+// leave the sitemap entirely with `sitemap: false` (or `noindex: true`).
+// URLs listed in ./redirects.js are never included.
+// Pages in other versions of the docs only get here when the latest version
+// has no equivalent (otherwise their canonical points at it). Translations
+// follow the rules of the English page they translate.
+export const sitemapRules = [
+  ...versions.filter(version => version.dir).map(version => ({
+    match: new RegExp(`^/${version.dir.replace(/\./g, '\\.')}/`),
+    changefreq: version.status === 'next' ? 'weekly' : 'yearly',
+    priority: 0.3
+  })),
+  { match: /^\/$/, changefreq: 'weekly', priority: 1.0 },
+  { match: /^\/(guide|api)\/$/, changefreq: 'weekly', priority: 0.9 },
+  { match: /^\/(examples|frameworks)\/$/, changefreq: 'monthly', priority: 0.8 },
+  { match: /^\/guide\/(getting-started|installation|quick-start)$/, changefreq: 'monthly', priority: 0.8 },
+  { match: /^\/api\/(core-functions|configuration)$/, changefreq: 'monthly', priority: 0.8 },
+  { match: /^\/api\/(blocks|typescript)\//, changefreq: 'monthly', priority: 0.6 },
+  { match: /^\/frameworks\//, changefreq: 'monthly', priority: 0.8 },
+  { match: /./, changefreq: 'monthly', priority: 0.7 }
+]
+
+const links = []
+
+/**
+ * Record a rendered page for the sitemap. Called from `transformHtml`,
+ * which runs once per page with its resolved page data.
+ */
+export function collectSitemapEntry(id, pageData) {
+  if (/[\\/]404\.html$/.test(id)) return
+
+  const override = pageData.frontmatter.sitemap
+  if (override === false || pageData.seo.noindex) return
+
+  // Pages that declare another URL as canonical are duplicates of it
+  if (pageData.seo.canonical !== pageData.seo.url) return
+
+  // Old URLs of moved pages are served as redirects (see ./redirects.js)
+  const url = pageUrl(pageData.relativePath)
+  if (isRedirected(url)) return
+
+  const source = pageUrl(sourceOf(pageData.relativePath))
+  const rule = sitemapRules.find(r => r.match.test(source))
+  const entry = {
+    url,
+    changefreq: override?.changefreq ?? rule.changefreq,
+    priority: override?.priority ?? rule.priority
+  }
+
+  // Each translated page gets its own entry, listing every language version
+  // as an hreflang alternate
+  const alternates = pageAlternates(srcDir, pageData.relativePath)
+  if (alternates.length > 1) {
+    entry.links = alternates.map(alternate => ({ lang: alternate.lang, url: pageUrl(alternate.relativePath) }))
+  }
+
+  // `lastUpdated` is the page's last git commit time; it is missing (or NaN)
+  // for files git doesn't know about yet, in which case we omit `lastmod`
+  if (pageData.lastUpdated) {
+    entry.lastmod = new Date(pageData.lastUpdated).toISOString()
+  }
+
+  links.push(entry)
+}
+
+/**
+ * Write sitemap.xml for every page collected during the build
+ */
+export async function writeSitemap({ outDir }) {
+  const sitemap = new SitemapStream({ hostname })
+
+  // Pages render concurrently, so sort for a stable, diffable sitemap
+  const sorted = [...links].sort((a, b) => a.url.localeCompare(b.url))
+  const xml = await streamToPromise(Readable.from(sorted).pipe(sitemap))
+
+  writeFileSync(resolve(outDir, 'sitemap.xml'), xml.toString())
+}
@@ -0,0 +1,349 @@
+// JSON-LD structured data for SEO
+//
+// The three objects below are site-wide and rendered on every page; the
+// functions further down build the page-specific ones from a page's route,
+// rendered content and the sidebar. Everything is emitted into the SSR HTML by
+// `transformHead` (see ./seo.js), so crawlers see it without running the app.
+
+import { siteMeta } from './site-meta.js';
+
+export const structuredData = {
+  "@context": "https://schema.org",
+  "@type": "SoftwareApplication",
+  "name": siteMeta.name,
+  "applicationCategory": "DeveloperApplication",
+  "applicationSubCategory": "WordPress Tool",
+  "operatingSystem": "Any",
+  "offers": {
+    "@type": "Offer",
+    "price": "0",
+    "priceCurrency": "USD"
+  },
+  "description": siteMeta.description,
+  "author": {
+    "@type": "Person",
+    "name": siteMeta.author.name,
+    "url": siteMeta.author.url
+  },
+  "softwareVersion": siteMeta.version
+};
+
+// Only ever publish ratings collected from real users (see site-meta.js)
+if (siteMeta.ratings) {
+  structuredData.aggregateRating = {
+    "@type": "AggregateRating",
+    "ratingValue": String(siteMeta.ratings.ratingValue),
+    "ratingCount": String(siteMeta.ratings.ratingCount)
+  };
+}
+
+// Organization data
+export const organizationData = {
+  "@context": "https://schema.org",
+  "@type": "Organization",
+  "name": "Made by Aris",
+  "url": "https://madebyaris.com",
+  "logo": "https://madebyaris.com/logo.png",
+  "contactPoint": {
+    "@type": "ContactPoint",
+    "contactType": "customer service",
+    "url": "https://madebyaris.com/contact"
+  }
+};
+
+// Website data
+export const websiteData = {
+  "@context": "https://schema.org",
+  "@type": "WebSite",
+  "name": `${siteMeta.name} Documentation`,
+  "url": `${siteMeta.url}/`,
+  "potentialAction": {
+    "@type": "SearchAction",
+    "target": `${siteMeta.url}/?q={search_term_string}`,
+    "query-input": "required name=search_term_string"
+  }
+};
+
+// Properties schema.org consumers (Google rich results in particular) require
+// for each type we emit. Checked for every page during the build.
+const requiredFields = {
+  SoftwareApplication: ['name', 'applicationCategory', 'operatingSystem', 'offers'],
+  Organization: ['name', 'url'],
+  WebSite: ['name', 'url'],
+  TechArticle: ['headline', 'description', 'url', 'image', 'author'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name'],
+  HowTo: ['name', 'step'],
+  HowToStep: ['name', 'text', 'url'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text']
+};
+
+const FAQ_HEADING = /^(faq|faqs|frequently asked questions)$/i;
+
+/**
+ * Strip tags and decode the handful of entities markdown-it emits
+ */
+function toText(html) {
+  return html
+    .replace(/<a class="header-anchor"[^>]*>.*?<\/a>/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/[\s\u200b]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split rendered page HTML into sections at every heading of the given level.
+ * Each section has the heading's id and text plus the HTML up to the next
+ * heading of the same or a higher level.
+ */
+function sections(html, level) {
+  const re = new RegExp(`<h([1-${level}]) id="([^"]+)"[^>]*>(.*?)</h\\1>`, 'g');
+  const found = [];
+  let match;
+
+  while ((match = re.exec(html))) {
+    found.push({ level: Number(match[1]), id: match[2], text: toText(match[3]), start: match.index, end: re.lastIndex });
+  }
+
+  return found
+    .map((heading, i) => {
+      const next = found.slice(i + 1).find(h => h.level <= heading.level);
+      return { ...heading, body: html.slice(heading.end, next ? next.start : html.length) };
+    })
+    .filter(section => section.level === level);
+}
+
+/**
+ * Text of the paragraphs in a chunk of HTML, optionally only the first one
+ */
+function paragraphs(html, { first = false } = {}) {
+  const found = [...html.matchAll(/<p>(.*?)<\/p>/gs)].map(m => toText(m[1])).filter(Boolean);
+  return first ? found[0] : found.join(' ');
+}
+
+/**
+ * Find the chain of sidebar entries leading to `url`, outermost first
+ */
+function sidebarTrail(items, url) {
+  for (const item of items || []) {
+    if (item.link === url) return [item];
+    const trail = sidebarTrail(item.items, url);
+    if (trail) return [item, ...trail];
+  }
+  return null;
+}
+
+/**
+ * BreadcrumbList built from the sidebar hierarchy: Home (the locale's home
+ * page), the section the sidebar belongs to (named after its nav entry), any
+ * linked sidebar groups, then the page itself
+ */
+export function breadcrumbData({ url, title, siteUrl, themeConfig, home = { name: 'Home', url: '/' } }) {
+  const sidebar = themeConfig.sidebar || {};
+  const section = Object.keys(sidebar)
+    .filter(key => url.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const crumbs = [home];
+
+  if (section) {
+    const navItem = (themeConfig.nav || []).find(item => item.link === section);
+    crumbs.push({ name: navItem ? navItem.text : section, url: section });
+
+    const trail = sidebarTrail(sidebar[section], url) || [];
+    for (const entry of trail) {
+      if (entry.link && !crumbs.some(crumb => crumb.url === entry.link)) {
+        crumbs.push({ name: entry.text, url: entry.link });
+      }
+    }
+  }
+
+  if (crumbs[crumbs.length - 1].url !== url) {
+    crumbs.push({ name: title, url });
+  }
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    "itemListElement": crumbs.map((crumb, i) => ({
+      "@type": "ListItem",
+      "position": i + 1,
+      "name": crumb.name,
+      "item": siteUrl + crumb.url
+    }))
+  };
+}
+
+/**
+ * TechArticle describing a single documentation page
+ */
+export function articleData({ seo, title, image, lastUpdated, lang }) {
+  const article = {
+    "@context": "https://schema.org",
+    "@type": "TechArticle",
+    "headline": title,
+    "description": seo.description,
+    "url": seo.canonical,
+    "mainEntityOfPage": seo.canonical,
+    "image": image,
+    "inLanguage": lang,
+    "author": structuredData.author,
+    "publisher": {
+      "@type": "Organization",
+      "name": organizationData.name,
+      "url": organizationData.url
+    },
+    "isPartOf": {
+      "@type": "WebSite",
+      "name": websiteData.name,
+      "url": websiteData.url
+    }
+  };
+
+  if (lastUpdated) {
+    article.dateModified = new Date(lastUpdated).toISOString();
+  }
+
+  return article;
+}
+
+/**
+ * HowTo whose steps are the page's H2 sections. `match` narrows the steps to
+ * headings matching a regular expression, e.g. `^Phase ` for the migration guide.
+ */
+export function howToData({ seo, title, content, match }) {
+  const pattern = match ? new RegExp(match) : null;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "HowTo",
+    "name": title,
+    "description": seo.description,
+    "step": sections(content, 2)
+      .filter(section => !pattern || pattern.test(section.text))
+      .map((section, i) => ({
+        "@type": "HowToStep",
+        "position": i + 1,
+        "name": section.text,
+        "text": paragraphs(section.body, { first: true }) || section.text,
+        "url": `${seo.canonical}#${section.id}`
+      }))
+  };
+}
+
+/**
+ * FAQPage built from a "FAQ" / "Frequently Asked Questions" H2, where every H3
+ * below it is a question and the paragraphs under that H3 are its answer.
+ * Returns null when the page has no such section.
+ */
+export function faqData({ content }) {
+  const faq = sections(content, 2).find(section => FAQ_HEADING.test(section.text));
+  if (!faq) return null;
+
+  const questions = sections(faq.body, 3)
+    .map(section => ({ name: section.text, answer: paragraphs(section.body) }))
+    .filter(question => question.answer);
+
+  if (!questions.length) return null;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    "mainEntity": questions.map(question => ({
+      "@type": "Question",
+      "name": question.name,
+      "acceptedAnswer": {
+        "@type": "Answer",
+        "text": question.answer
+      }
+    }))
+  };
+}
+
+/**
+ * Throw if an object, or any typed object nested in it, is missing one of
+ * the properties its schema.org type requires
+ */
+export function validateStructuredData(data, where) {
+  const errors = [];
+
+  const visit = (node, path) => {
+    if (Array.isArray(node)) {
+      node.forEach((child, i) => visit(child, `${path}[${i}]`));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const type = node["@type"];
+
+    // Self-authored ratings and reviews can get rich results penalized, so
+    // they are only allowed when site-meta.js says where real ones came from
+    if ((node.aggregateRating || node.review) && !siteMeta.ratings?.source) {
+      errors.push(`${path} (${type}) has ratings or reviews but siteMeta.ratings has no source`);
+    }
+    if (type === 'Review' && node.author?.name === siteMeta.author.name) {
+      errors.push(`${path} (${type}) is written by the author of the software`);
+    }
+
+    for (const field of requiredFields[type] || []) {
+      const value = node[field];
+      if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+        errors.push(`${path} (${type}) is missing "${field}"`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      visit(value, `${path}.${key}`);
+    }
+  };
+
+  visit(data, data["@type"]);
+
+  if (errors.length) {
+    throw new Error(`Invalid structured data in ${where}:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+/**
+ * All JSON-LD objects for a page: the site-wide ones, plus TechArticle and
+ * BreadcrumbList for documentation pages, HowTo for pages with `howTo` in
+ * their frontmatter and FAQPage for pages with a FAQ section
+ */
+export function pageStructuredData({ pageData, content, image, siteUrl, siteData }) {
+  const { seo, frontmatter } = pageData;
+  const objects = [structuredData, organizationData, websiteData];
+
+  if (frontmatter.layout === 'home') return objects;
+
+  const title = pageData.title || siteData.title;
+  const url = seo.url.slice(siteUrl.length);
+
+  // Translated pages use their locale's language, nav and sidebars
+  const locale = siteData.locales?.[seo.locale] || {};
+  const themeConfig = { ...siteData.themeConfig, ...locale.themeConfig };
+  const homeUrl = locale.link || '/';
+  const home = { name: themeConfig.nav?.find(item => item.link === homeUrl)?.text || 'Home', url: homeUrl };
+
+  objects.push(articleData({ seo, title, image, lastUpdated: pageData.lastUpdated, lang: locale.lang || siteData.lang }));
+  objects.push(breadcrumbData({ url, title, siteUrl, themeConfig, home }));
+
+  if (frontmatter.howTo) {
+    objects.push(howToData({ seo, title, content, match: frontmatter.howTo.match }));
+  }
+
+  const faq = faqData({ content });
+  if (faq) objects.push(faq);
+
+  for (const data of objects) {
+    validateStructuredData(data, pageData.relativePath);
+  }
+
+  return objects;
+}
@@ -0,0 +1,37 @@
+/**
+ * Sandboxed iframe previews of converted HTML, shared by the playground and
+ * the block catalog. The preview loads the CSS framework the HTML was
+ * converted for, so its classes actually render.
+ */
+
+// Stylesheets the preview loads, by `cssFramework` option
+const frameworkHead = {
+  none: '',
+  tailwind: '<script src="https://cdn.tailwindcss.com"><\/script>',
+  bootstrap: '<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css">'
+}
+
+/**
+ * The `srcdoc` of a preview. Links open in a new tab rather than inside the
+ * frame.
+ */
+export function previewDocument(html, framework) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<base target="_blank">
+${frameworkHead[framework] || ''}
+<style>body { font-family: system-ui, sans-serif; margin: 16px; }</style>
+</head>
+<body>${html || ''}</body>
+</html>`
+}
+
+/**
+ * The `sandbox` of a preview. The Tailwind CDN build is a script; otherwise
+ * the preview runs no scripts.
+ */
+export function previewSandbox(framework) {
+  return framework === 'tailwind' ? 'allow-scripts' : ''
+}
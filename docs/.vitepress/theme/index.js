@@ -1,48 +1,54 @@
 import DefaultTheme from 'vitepress/theme'
+import { defineClientComponent } from 'vitepress'
+import { defineAsyncComponent, h } from 'vue'
+import FrameworkTabs from './components/FrameworkTabs.vue'
+import OfflineMenu from './components/OfflineMenu.vue'
+import PageReleaseBadges from './components/PageReleaseBadges.vue'
+import ReleaseBadge from './components/ReleaseBadge.vue'
+import SearchDeepLink from './components/SearchDeepLink.vue'
+import UpdateToast from './components/UpdateToast.vue'
+import VersionBanner from './components/VersionBanner.vue'
+import VersionSwitcher from './components/VersionSwitcher.vue'
 import './custom.css'
-import { structuredData, organizationData, websiteData } from './structured-data'
 
-// Enhanced theme with SEO features
+// JSON-LD structured data is rendered into each page's head at build time
+// (see ../structured-data.js), so the theme doesn't need to inject it
 export default {
   ...DefaultTheme,
+  // Pages from older and unreleased versions of the docs get a banner
+  // pointing at the latest version (see ../versions.js), pages marked
+  // `since`/`deprecated` get their release badges, any page opens the
+  // search when linked to with `?q=`, and readers are told when a new build
+  // of the docs is ready (see ./useOffline.js)
+  Layout: () => h(DefaultTheme.Layout, null, {
+    'doc-before': () => [h(VersionBanner), h(PageReleaseBadges)],
+    'layout-bottom': () => [h(SearchDeepLink), h(UpdateToast)]
+  }),
   enhanceApp({ app, router, siteData }) {
     // Original VitePress theme enhanceApp
     if (DefaultTheme.enhanceApp) {
       DefaultTheme.enhanceApp({ app, router, siteData })
     }
-    
-    // Add structured data to the page when it loads in the browser
-    if (typeof window !== 'undefined') {
-      router.onAfterRouteChanged = () => {
-        addStructuredData()
-      }
-    }
-  }
-}
 
-// Add JSON-LD structured data to the head
-function addStructuredData() {
-  if (typeof document === 'undefined') return
-  
-  // Remove any existing structured data
-  const existingScripts = document.querySelectorAll('script[type="application/ld+json"]')
-  existingScripts.forEach(script => script.remove())
-  
-  // Add software application structured data
-  const appDataScript = document.createElement('script')
-  appDataScript.setAttribute('type', 'application/ld+json')
-  appDataScript.textContent = JSON.stringify(structuredData)
-  document.head.appendChild(appDataScript)
-  
-  // Add organization structured data
-  const orgDataScript = document.createElement('script')
-  orgDataScript.setAttribute('type', 'application/ld+json')
-  orgDataScript.textContent = JSON.stringify(organizationData)
-  document.head.appendChild(orgDataScript)
-  
-  // Add website structured data
-  const websiteDataScript = document.createElement('script')
-  websiteDataScript.setAttribute('type', 'application/ld+json')
-  websiteDataScript.textContent = JSON.stringify(websiteData)
-  document.head.appendChild(websiteDataScript)
+    // Used as nav items in ../nav.js
+    app.component('VersionSwitcher', VersionSwitcher)
+    app.component('OfflineMenu', OfflineMenu)
+
+    // Rendered by `::: framework-tabs` containers (see ../framework-tabs.js).
+    // Every variant is server-rendered, so it's registered as is.
+    app.component('FrameworkTabs', FrameworkTabs)
+
+    // Rendered for `[since: x.y.z]` / `[deprecated: x.y.z]` markers (see
+    // ../release-markers.js), in headings as often as not
+    app.component('ReleaseBadge', ReleaseBadge)
+
+    // The playground runs the library in the browser, so it is only loaded
+    // (and rendered) on the client; SSR leaves an empty placeholder
+    app.component('BlockPlayground', defineClientComponent(() => import('./components/BlockPlayground.vue')))
+
+    // Block catalog components, generated into the block handler pages; they
+    // carry the catalog data, so it is only loaded on pages that use them
+    app.component('BlockCatalog', defineAsyncComponent(() => import('./components/BlockCatalog.vue')))
+    app.component('BlockPreview', defineAsyncComponent(() => import('./components/BlockPreview.vue')))
+  }
 }
@@ -0,0 +1,76 @@
+/**
+ * Starting points for the block playground. Pages pick one with
+ * `<BlockPlayground example="name" />`; `options` are merged over the
+ * playground's defaults.
+ */
+export const playgroundExamples = {
+  paragraph: {
+    blocks: [
+      {
+        blockName: 'core/paragraph',
+        attrs: { align: 'center', dropCap: true, fontSize: 'large' },
+        innerContent: ['<p>Sample paragraph text</p>']
+      }
+    ],
+    options: {}
+  },
+
+  post: {
+    blocks: [
+      {
+        blockName: 'core/heading',
+        attrs: { level: 2 },
+        innerContent: ['<h2>Getting Started</h2>']
+      },
+      {
+        blockName: 'core/paragraph',
+        attrs: {},
+        innerContent: ['<p>WordPress blocks, converted to <strong>clean HTML</strong>.</p>']
+      },
+      {
+        blockName: 'core/image',
+        attrs: { url: 'https://picsum.photos/seed/blocks/800/400', alt: 'Example image', caption: 'An image block' },
+        innerContent: ['<figure class="wp-block-image aligncenter size-large"><img src="https://picsum.photos/seed/blocks/800/400" alt="Example image"/><figcaption>An image block</figcaption></figure>']
+      },
+      {
+        blockName: 'core/list',
+        attrs: { ordered: false },
+        innerContent: ['<ul><li>Raw, rendered and hybrid modes</li><li>Tailwind and Bootstrap classes</li></ul>']
+      },
+      {
+        blockName: 'core/button',
+        attrs: { url: 'https://example.com', text: 'Read more' },
+        innerContent: ['Read more']
+      }
+    ],
+    options: { cssFramework: 'tailwind' }
+  },
+
+  'content-modes': {
+    blocks: [
+      {
+        blockName: 'core/paragraph',
+        attrs: { align: 'center' },
+        innerContent: ['<p class="has-text-align-center">Hello WordPress!</p>'],
+        innerHTML: '<p class="has-text-align-center">Hello WordPress!</p>'
+      }
+    ],
+    options: { cssFramework: 'tailwind', contentHandling: 'hybrid' }
+  },
+
+  ssr: {
+    blocks: [
+      {
+        blockName: 'core/image',
+        attrs: { url: 'https://picsum.photos/seed/ssr/800/400', alt: 'Hero image' },
+        innerContent: ['<figure class="wp-block-image"><img src="https://picsum.photos/seed/ssr/800/400" alt="Hero image"/></figure>']
+      },
+      {
+        blockName: 'core/html',
+        attrs: {},
+        innerContent: ['<!-- tracking widget --><p>Custom HTML</p><script>console.log("client only")</script>']
+      }
+    ],
+    options: { cssFramework: 'tailwind', ssrOptions: { enabled: true, level: 'balanced' } }
+  }
+}
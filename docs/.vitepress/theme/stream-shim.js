@@ -0,0 +1,3 @@
+// Browser stand-in for Node's `stream`. wp-block-to-html's main entry pulls in
+// its streaming API, which extends `Transform`; the playground never uses it.
+export class Transform {}
@@ -0,0 +1,54 @@
+import { onMounted, ref } from 'vue'
+
+// localStorage key for the reader's framework, shared by every tab group
+const STORAGE_KEY = 'wp-block-to-html:framework'
+
+// One preference for the whole app, so tab groups on the same page switch
+// together and pages opened later start on the same framework
+const preferred = ref(null)
+let listening = false
+
+/**
+ * The tab key for a framework label, e.g. `Next.js` -> `nextjs`. Also used
+ * by the `::: framework-tabs` markdown container (../framework-tabs.js) to
+ * name the slots it renders.
+ */
+export function frameworkKey(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '')
+}
+
+function readPreference() {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    // Storage can be disabled; the choice then lasts until the next reload
+    return null
+  }
+}
+
+/**
+ * The framework the reader last picked in any tab group, and a way to pick
+ * one. The stored choice is only read once mounted, so server-rendered
+ * markup never depends on it; other browser tabs are kept in sync.
+ */
+export function useFramework() {
+  onMounted(() => {
+    if (preferred.value === null) preferred.value = readPreference()
+
+    if (!listening) {
+      listening = true
+      window.addEventListener('storage', event => {
+        if (event.key === STORAGE_KEY) preferred.value = event.newValue
+      })
+    }
+  })
+
+  function choose(key) {
+    preferred.value = key
+    try {
+      localStorage.setItem(STORAGE_KEY, key)
+    } catch {}
+  }
+
+  return { preferred, choose }
+}
@@ -0,0 +1,120 @@
+import { onMounted, ref } from 'vue'
+import { withBase } from 'vitepress'
+
+// localStorage key for the "save the docs offline" setting
+const STORAGE_KEY = 'wp-block-to-html:offline'
+
+// Shared by the update toast and the offline menu, like the framework choice
+// in ./useFramework.js
+const supported = ref(false)
+const updateReady = ref(false)
+const enabled = ref(false)
+// What the worker reports: `{ version, files, bytes, saved }`
+const status = ref(null)
+// `{ done, total }` while the docs are being saved
+const progress = ref(null)
+const error = ref(null)
+
+let registration = null
+let started = false
+let reloading = false
+
+function post(message) {
+  navigator.serviceWorker.ready.then(ready => ready.active?.postMessage(message))
+}
+
+function onMessage({ data }) {
+  if (data?.type === 'progress') {
+    progress.value = { done: data.done, total: data.total }
+  } else if (data?.type === 'download-failed') {
+    progress.value = null
+    error.value = data.message
+  } else if (data?.type === 'status') {
+    progress.value = null
+    status.value = data
+    // Saved copies belong to one build, so after an update (or an
+    // interrupted download) the docs are saved again
+    if (enabled.value && data.saved < data.files && !error.value) {
+      post({ type: 'download' })
+    }
+  }
+}
+
+async function register() {
+  try {
+    enabled.value = localStorage.getItem(STORAGE_KEY) === 'on'
+  } catch {}
+
+  navigator.serviceWorker.addEventListener('message', onMessage)
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) window.location.reload()
+  })
+
+  try {
+    registration = await navigator.serviceWorker.register(withBase('/sw.js'))
+  } catch {
+    // No worker in this build (e.g. the service-worker step was skipped)
+    supported.value = false
+    return
+  }
+
+  // A new build's worker waits until the reader chooses to reload, so a
+  // page never mixes files from two builds
+  const track = worker => worker?.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) updateReady.value = true
+  })
+  if (registration.waiting && navigator.serviceWorker.controller) updateReady.value = true
+  track(registration.installing)
+  registration.addEventListener('updatefound', () => track(registration.installing))
+
+  // Browsers only look for a new worker on full page loads; readers who keep
+  // a tab open get it when they come back to it
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => {})
+  })
+
+  post({ type: 'status' })
+}
+
+/**
+ * The service worker's state for the theme: whether there's a new build to
+ * reload into, and the "save the docs offline" setting with its progress.
+ * The worker is registered once, on the first mount, in production builds
+ * only (see scripts/service-worker.js).
+ */
+export function useOffline() {
+  onMounted(() => {
+    if (started) return
+    started = true
+    if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+      supported.value = true
+      register()
+    }
+  })
+
+  // Switch to the waiting worker; the page reloads once it has taken over
+  function applyUpdate() {
+    if (!registration?.waiting) {
+      window.location.reload()
+      return
+    }
+    reloading = true
+    registration.waiting.postMessage({ type: 'skip-waiting' })
+  }
+
+  function dismissUpdate() {
+    updateReady.value = false
+  }
+
+  // Save every page and asset for offline reading, or remove the saved copy
+  function setEnabled(value) {
+    enabled.value = value
+    error.value = null
+    try {
+      localStorage.setItem(STORAGE_KEY, value ? 'on' : 'off')
+    } catch {}
+    post({ type: value ? 'download' : 'remove-download' })
+  }
+
+  return { supported, updateReady, enabled, status, progress, error, applyUpdate, dismissUpdate, setEnabled }
+}
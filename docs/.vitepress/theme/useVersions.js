@@ -0,0 +1,30 @@
+import { computed } from 'vue'
+import { useData, withBase } from 'vitepress'
+
+/**
+ * The documented versions (`themeConfig.versions`, see ../versions.js), the
+ * one the current page belongs to, and links to this page in each of them
+ */
+export function useVersions() {
+  const { theme, page } = useData()
+
+  const versions = computed(() => theme.value.versions || [])
+  const latest = computed(() => versions.value.find(version => version.status === 'latest'))
+  const current = computed(() =>
+    versions.value.find(version => version.dir && page.value.relativePath.startsWith(`${version.dir}/`)) || latest.value
+  )
+
+  /**
+   * This page in another version, or that version's home page when it has no
+   * page at the same path
+   */
+  function linkTo(version) {
+    const { relativePath } = page.value
+    const path = current.value.dir ? relativePath.slice(current.value.dir.length + 1) : relativePath
+    const target = (version.dir ? `${version.dir}/` : '') + (version.pages.includes(path) ? path : 'index.md')
+
+    return withBase('/' + target.replace(/(^|\/)index\.md$/, '$1').replace(/\.md$/, ''))
+  }
+
+  return { versions, latest, current, linkTo }
+}
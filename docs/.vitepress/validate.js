@@ -0,0 +1,62 @@
+import { existsSync, readdirSync } from 'fs'
+import { join } from 'path'
+
+const CONFIG_FILE = /^config\.(js|mjs|cjs|ts|mts|cts)$/
+
+/**
+ * Turn an internal link into the markdown file it should resolve to,
+ * e.g. `/guide/` -> `guide/index.md`, `/guide/hydration` -> `guide/hydration.md`
+ */
+function linkToSource(link) {
+  const path = link.replace(/[?#].*$/, '').replace(/\.(html|md)$/, '')
+  return path.endsWith('/')
+    ? `${path.slice(1)}index.md`
+    : `${path.slice(1)}.md`
+}
+
+/**
+ * Collect every internal link from nav items and sidebar groups, with a
+ * label saying where it came from
+ */
+function collectLinks(items, where, links = []) {
+  for (const item of items || []) {
+    if (item.link && item.link.startsWith('/')) {
+      links.push({ link: item.link, where: `${where} > ${item.text}` })
+    }
+    collectLinks(item.items, item.text ? `${where} > ${item.text}` : where, links)
+  }
+  return links
+}
+
+/**
+ * Check the site configuration before VitePress starts:
+ * - `.vitepress/` holds exactly one config file, since VitePress silently
+ *   picks one by extension and ignores the rest
+ * - every internal nav and sidebar link points at an existing page
+ *
+ * Throws with every problem found, so a broken config fails dev and build.
+ */
+export function validateSiteConfig({ configDir, srcDir, nav, sidebar }) {
+  const errors = []
+
+  const configFiles = readdirSync(configDir).filter(file => CONFIG_FILE.test(file))
+  if (configFiles.length > 1) {
+    errors.push(`Found ${configFiles.length} config files in ${configDir} (${configFiles.join(', ')}); keep only config.js`)
+  }
+
+  const links = [
+    ...collectLinks(nav, 'nav'),
+    ...Object.entries(sidebar).flatMap(([section, groups]) => collectLinks(groups, `sidebar ${section}`))
+  ]
+
+  for (const { link, where } of links) {
+    const source = linkToSource(link)
+    if (!existsSync(join(srcDir, source))) {
+      errors.push(`${where} links to ${link}, but ${source} does not exist`)
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid site configuration:\n  ${errors.join('\n  ')}`)
+  }
+}
@@ -0,0 +1,86 @@
+import { existsSync, readdirSync } from 'fs'
+import { join } from 'path'
+import { siteMeta } from './site-meta.js'
+
+// Documented releases, newest first. The latest version lives at the site
+// root; every other version is a copy of the docs in its own directory
+// (`dir`), served under `/<dir>/`. `status` drives the banner shown on its
+// pages: `next` for unreleased docs, `outdated` for old releases. The latest
+// version is always named `latest`, so a snapshot named after its release
+// can't collide with it.
+//
+// To freeze the current docs before a major release, run
+// `node scripts/snapshot-version.js v1` and add the entry it prints here,
+// e.g. `{ name: 'v1', label: 'v1.x', dir: 'v1', status: 'outdated' }`.
+// The helpers below take the list as their last argument, so tests can
+// run them against a fixture (see test/versions.test.js).
+export const versions = [
+  {
+    name: 'latest',
+    // Read on use, so listing versions doesn't look up the library
+    get label() {
+      return `v${siteMeta.version} (latest)`
+    },
+    dir: '',
+    status: 'latest'
+  }
+]
+
+export const latestVersion = versions.find(version => version.status === 'latest')
+
+function latestOf(list) {
+  return list.find(version => version.status === 'latest')
+}
+
+/**
+ * The version a page belongs to, from its relative source path
+ */
+export function versionOf(relativePath, list = versions) {
+  return list.find(version => version.dir && relativePath.startsWith(`${version.dir}/`)) || latestOf(list)
+}
+
+/**
+ * A page's path within its version, e.g. `v1/guide/installation.md` ->
+ * `guide/installation.md`
+ */
+export function pathInVersion(relativePath, list = versions) {
+  const { dir } = versionOf(relativePath, list)
+  return dir ? relativePath.slice(dir.length + 1) : relativePath
+}
+
+/**
+ * Every markdown page in a version, as paths within that version. The latest
+ * version's pages are everything not inside another version's directory.
+ */
+function versionPages(srcDir, version, list) {
+  const root = join(srcDir, version.dir)
+  if (!existsSync(root)) return []
+
+  return readdirSync(root, { recursive: true })
+    .map(file => file.split(/[\\/]/).join('/'))
+    .filter(file => file.endsWith('.md') && !file.startsWith('.vitepress/'))
+    .filter(file => version.dir || versionOf(file, list) === latestOf(list))
+    .sort()
+}
+
+/**
+ * The version list as the theme's version switcher and banner use it
+ */
+export function versionsThemeConfig(srcDir, list = versions) {
+  return list.map(version => ({
+    name: version.name,
+    label: version.label,
+    status: version.status,
+    dir: version.dir,
+    pages: versionPages(srcDir, version, list)
+  }))
+}
+
+/**
+ * Whether the latest version has a page at the same path, e.g.
+ * `v1/guide/installation.md` -> `guide/installation.md`
+ */
+export function latestEquivalent(srcDir, relativePath, list = versions) {
+  const path = pathInVersion(relativePath, list)
+  return existsSync(join(srcDir, path)) ? path : null
+}
@@ -0,0 +1,41 @@
+import { writeFileSync } from 'fs'
+import { resolve } from 'path'
+import { imageManifest } from './image-manifest.js'
+import { siteMeta } from './site-meta.js'
+
+// Served from the site root and linked from every page's head (see ./seo.js)
+export const webManifestPath = '/manifest.webmanifest'
+
+// Colour of the browser UI around the site, and of the installed app
+export const themeColor = '#3eaf7c'
+
+/**
+ * The web app manifest, which lets readers install the docs as an app. Its
+ * icons are the PWA icons from scripts/generate-images.js: `any` for the
+ * launcher and `maskable` for platforms that crop icons to their own shape.
+ */
+export function webManifest(manifest = imageManifest) {
+  return {
+    id: '/',
+    name: siteMeta.name,
+    short_name: siteMeta.name,
+    description: siteMeta.description,
+    lang: 'en-US',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: '#ffffff',
+    theme_color: themeColor,
+    icons: manifest.icons
+      .filter(icon => icon.purpose === 'any' || icon.purpose === 'maskable')
+      .map(({ src, type, sizes, purpose }) => ({ src, type, sizes, purpose }))
+  }
+}
+
+/**
+ * Write manifest.webmanifest into the build output. Called from `buildEnd`,
+ * like the sitemap.
+ */
+export function writeWebManifest({ outDir }) {
+  writeFileSync(resolve(outDir, webManifestPath.slice(1)), JSON.stringify(webManifest(), null, 2) + '\n')
+}
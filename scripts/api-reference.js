@@ -0,0 +1,498 @@
+/**
+ * API Reference
+ *
+ * Generates the TypeScript reference from wp-block-to-html's type
+ * declarations: the `.d.ts` file of every entry point in the package's
+ * `exports`. Pages take part through a marked region, which is replaced on
+ * every refresh while the hand-written text around it is left alone:
+ *
+ *   <!-- api-reference:start interfaces -->
+ *   <!-- api-reference:end -->
+ *
+ * Regions:
+ *   interfaces  every exported interface, with a table of its properties
+ *   types       every exported type alias
+ *   options     ConversionOptions as a list of options, with nested option
+ *               objects flattened (`ssrOptions.enabled`, ...)
+ *
+ * Descriptions, defaults (`@default` or "(default: ...)") and deprecations
+ * come from the JSDoc comments; members tagged `@internal` are left out.
+ * Every symbol and property gets a fixed anchor derived from its name, e.g.
+ * `#conversionoptions`, `#conversionoptions-cssframework`, `#ssroptions-level`.
+ *
+ * The drift check compares the symbols documented in the pages with the
+ * library's current exports. It runs as the api-reference step of
+ * scripts/build.js; scripts/generate-api-reference.js refreshes the pages.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import ts from 'typescript';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+import { findPages } from './pages.js';
+
+const REGION = /(<!-- api-reference:start (\S+) -->\n)([\s\S]*?)(<!-- api-reference:end -->)/g;
+
+const NOTICE = '<!-- Generated from the wp-block-to-html type declarations by `npm run generate-api-reference`. Edit the JSDoc in the library rather than this section. -->';
+
+// The interface documented by the `options` region
+const OPTIONS_INTERFACE = 'ConversionOptions';
+
+/**
+ * The type declaration file of every entry point, with the specifier it is
+ * imported by, e.g. `wp-block-to-html/hydration`
+ */
+function entryPoints(libraryDir) {
+  const pkg = JSON.parse(readFileSync(join(libraryDir, 'package.json'), 'utf-8'));
+  const exportsField = pkg.exports || { '.': { types: pkg.types || pkg.typings } };
+
+  return Object.entries(exportsField)
+    .filter(([, target]) => target && typeof target === 'object' && target.types)
+    .map(([subpath, target]) => ({
+      specifier: subpath === '.' ? pkg.name : `${pkg.name}/${subpath.replace(/^\.\//, '')}`,
+      file: join(libraryDir, target.types)
+    }));
+}
+
+/**
+ * A stable anchor for a symbol or property path, e.g. `ssrOptions.level` ->
+ * `ssroptions-level`
+ */
+function anchorOf(...names) {
+  return names.join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function oneLine(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A declaration's JSDoc: its description, default value and deprecation
+ * notice. The default is taken from `@default`, an inline "(default: x)", or
+ * a "- 'x' = ... (default)" line in a list of values.
+ */
+function docOf(node, checker) {
+  const symbol = node.name ? checker.getSymbolAtLocation(node.name) : null;
+  let description = symbol ? ts.displayPartsToString(symbol.getDocumentationComment(checker)).trim() : '';
+  const tags = ts.getJSDocTags(node);
+  const tag = name => tags.find(entry => entry.tagName.text === name);
+  const tagText = entry => (ts.getTextOfJSDocComment(entry.comment) || '').trim();
+
+  let defaultValue = tag('default') ? tagText(tag('default')) : null;
+  if (defaultValue === null) {
+    const inline = description.match(/\s*\(default:\s*([^)]*)\)/);
+    const listed = description.match(/^-\s*('[^']*'|\S+)\s*[=:].*\(default\)\s*$/m);
+    if (inline) {
+      defaultValue = inline[1].trim();
+      description = description.replace(inline[0], '').trim();
+    } else if (listed) {
+      defaultValue = listed[1];
+    }
+  }
+
+  return {
+    description,
+    defaultValue,
+    deprecated: tag('deprecated') ? tagText(tag('deprecated')) || 'Deprecated' : null,
+    internal: Boolean(tag('internal'))
+  };
+}
+
+/**
+ * The documented members of an interface or object type. Object-typed
+ * properties keep their own members in `members`.
+ */
+function membersOf(members, checker) {
+  return members.flatMap(member => {
+    if (ts.isIndexSignatureDeclaration(member)) {
+      return [{
+        name: `[${member.parameters.map(parameter => parameter.getText()).join(', ')}]`,
+        key: 'index',
+        optional: false,
+        type: oneLine(member.type.getText()),
+        description: '',
+        defaultValue: null,
+        deprecated: null
+      }];
+    }
+
+    if (!ts.isPropertySignature(member) && !ts.isMethodSignature(member)) return [];
+
+    const doc = docOf(member, checker);
+    if (doc.internal) return [];
+
+    const name = member.name.getText();
+    const entry = { name, key: name, optional: Boolean(member.questionToken), ...doc };
+
+    if (ts.isMethodSignature(member)) {
+      const parameters = member.parameters.map(parameter => parameter.getText()).join(', ');
+      return [{ ...entry, name: `${name}()`, type: oneLine(`(${parameters}) => ${member.type ? member.type.getText() : 'void'}`) }];
+    }
+
+    if (member.type && ts.isTypeLiteralNode(member.type)) {
+      return [{ ...entry, type: 'object', members: membersOf(member.type.members, checker) }];
+    }
+
+    return [{ ...entry, type: member.type ? oneLine(member.type.getText()) : 'any' }];
+  });
+}
+
+/**
+ * Read every exported interface and type alias from the library's type
+ * declarations, with the entry points that export them
+ */
+export function readLibraryTypes(libraryDir) {
+  const pkg = JSON.parse(readFileSync(join(libraryDir, 'package.json'), 'utf-8'));
+  const entries = entryPoints(libraryDir);
+  if (!entries.length) {
+    throw new Error(`${libraryDir}/package.json doesn't declare any type declarations`);
+  }
+
+  const program = ts.createProgram(entries.map(entry => entry.file), { noEmit: true, noLib: true, types: [] });
+  const checker = program.getTypeChecker();
+  const symbols = new Map();
+
+  for (const entry of entries) {
+    const source = program.getSourceFile(entry.file);
+    if (!source) {
+      throw new Error(`${entry.file} not found; build the library first`);
+    }
+
+    const moduleSymbol = checker.getSymbolAtLocation(source);
+    if (!moduleSymbol) continue;
+
+    for (const exported of checker.getExportsOfModule(moduleSymbol)) {
+      const target = exported.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(exported) : exported;
+      const declaration = target.declarations?.find(node => ts.isInterfaceDeclaration(node) || ts.isTypeAliasDeclaration(node));
+      if (!declaration) continue;
+
+      if (symbols.has(declaration)) {
+        symbols.get(declaration).entries.push(entry.specifier);
+        continue;
+      }
+
+      const doc = docOf(declaration, checker);
+      if (doc.internal) continue;
+
+      const typeParameters = declaration.typeParameters
+        ? `<${declaration.typeParameters.map(parameter => parameter.getText()).join(', ')}>`
+        : '';
+      const symbol = {
+        name: exported.name,
+        kind: ts.isInterfaceDeclaration(declaration) ? 'interface' : 'type',
+        entries: [entry.specifier],
+        typeParameters,
+        ...doc
+      };
+
+      if (symbol.kind === 'interface') {
+        symbol.extends = (declaration.heritageClauses || []).flatMap(clause => clause.types.map(type => type.getText()));
+        symbol.members = membersOf(declaration.members, checker);
+      } else {
+        symbol.declaration = `type ${exported.name}${typeParameters} = ${declaration.type.getText()};`;
+      }
+
+      symbols.set(declaration, symbol);
+    }
+  }
+
+  // Alphabetical within each entry point, entry points in `exports` order
+  const entryIndex = specifier => entries.findIndex(entry => entry.specifier === specifier);
+  const list = [...symbols.values()].sort((a, b) =>
+    entryIndex(a.entries[0]) - entryIndex(b.entries[0]) || a.name.localeCompare(b.name)
+  );
+
+  return { version: pkg.version, symbols: list };
+}
+
+/**
+ * Escape text for a markdown table cell
+ */
+function cell(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+/**
+ * JSDoc text as markdown: `<` is escaped outside code spans so it can't be
+ * taken for HTML (or a Vue template tag)
+ */
+function prose(text) {
+  return text.split(/(`[^`]*`)/).map((part, i) => (i % 2 ? part : part.replace(/</g, '&lt;'))).join('');
+}
+
+/**
+ * A type as inline code, linked to its own documentation when it is one of
+ * the library's documented symbols
+ */
+function typeLink(type, links) {
+  const code = `\`${type}\``;
+  return links.has(type) ? `[${code}](${links.get(type)})` : code;
+}
+
+/**
+ * Where a symbol can be imported from. Shared types are re-exported by most
+ * entry points, so long lists are shortened to the first one.
+ */
+function importLine({ entries }) {
+  const list = entries.length > 3
+    ? `\`${entries[0]}\` and ${entries.length - 1} other entry points`
+    : entries.map(entry => `\`${entry}\``).join(', ');
+  return `**Import from:** ${list}`;
+}
+
+function deprecationLine(deprecated) {
+  return `**Deprecated:** ${prose(deprecated)}`;
+}
+
+/**
+ * Symbols grouped under a heading per entry point
+ */
+function groupByEntry(symbols, renderSymbol) {
+  const groups = new Map();
+  for (const symbol of symbols) {
+    if (!groups.has(symbol.entries[0])) groups.set(symbol.entries[0], []);
+    groups.get(symbol.entries[0]).push(symbol);
+  }
+
+  return [...groups].flatMap(([entry, members]) => [`## \`${entry}\` {#${anchorOf(entry)}}`, '', ...members.flatMap(renderSymbol)]);
+}
+
+/**
+ * Table rows for an interface's members, nested object members included
+ */
+function memberRows(members, anchorPrefix, namePrefix, links) {
+  return members.flatMap(member => {
+    const anchor = anchorOf(anchorPrefix, member.key);
+    const name = `${namePrefix}${member.name}${member.optional ? '?' : ''}`;
+    const description = [member.description, member.deprecated && deprecationLine(member.deprecated)]
+      .filter(Boolean)
+      .map(prose)
+      .join('\n')
+      .replace(/\n/g, '<br>');
+
+    const row = `| <a id="${anchor}"></a>\`${cell(name)}\` | ${cell(typeLink(member.type, links))} | ${member.defaultValue ? `\`${cell(member.defaultValue)}\`` : ''} | ${cell(description)} |`;
+    return [row, ...memberRows(member.members || [], anchor, `${namePrefix}${member.name}.`, links)];
+  });
+}
+
+function renderInterfaces({ symbols }, links) {
+  const interfaces = symbols.filter(symbol => symbol.kind === 'interface');
+
+  return groupByEntry(interfaces, symbol => [
+    `### \`${symbol.name}\` {#${anchorOf(symbol.name)}}`,
+    '',
+    ...(symbol.description ? [prose(symbol.description), ''] : []),
+    ...(symbol.deprecated ? [deprecationLine(symbol.deprecated), ''] : []),
+    ...(symbol.typeParameters ? [`**Type parameters:** \`${symbol.typeParameters}\``, ''] : []),
+    ...(symbol.extends.length ? [`**Extends:** ${symbol.extends.map(type => typeLink(type, links)).join(', ')}`, ''] : []),
+    importLine(symbol),
+    '',
+    ...(symbol.members.length
+      ? ['| Property | Type | Default | Description |', '| --- | --- | --- | --- |', ...memberRows(symbol.members, symbol.name, '', links), '']
+      : ['No properties.', ''])
+  ]);
+}
+
+function renderTypes({ symbols }) {
+  const types = symbols.filter(symbol => symbol.kind === 'type');
+
+  return groupByEntry(types, symbol => [
+    `### \`${symbol.name}\` {#${anchorOf(symbol.name)}}`,
+    '',
+    ...(symbol.description ? [prose(symbol.description), ''] : []),
+    ...(symbol.deprecated ? [deprecationLine(symbol.deprecated), ''] : []),
+    importLine(symbol),
+    '',
+    '```typescript',
+    symbol.declaration,
+    '```',
+    ''
+  ]);
+}
+
+/**
+ * A JSDoc description as paragraphs, keeping lists of values as lists
+ */
+function paragraphs(description) {
+  const lines = [];
+  for (const line of description.split('\n').map(text => text.trim()).filter(Boolean)) {
+    const isItem = line.startsWith('- ');
+    const previousIsItem = lines.length && lines[lines.length - 1].startsWith('- ');
+    if (lines.length && !(isItem && previousIsItem)) lines.push('');
+    lines.push(prose(line));
+  }
+  return lines;
+}
+
+function renderOptions({ symbols }, links) {
+  // Without it every documented option shows up as drift
+  const options = symbols.find(symbol => symbol.name === OPTIONS_INTERFACE);
+  if (!options) return [];
+
+  // Properties typed with one of the library's option interfaces are
+  // documented option by option, like inline object types
+  const optionObjects = new Map(symbols
+    .filter(symbol => symbol.kind === 'interface' && symbol.members.length && symbol.members.every(member => member.optional))
+    .map(symbol => [symbol.name, symbol.members]));
+
+  const renderMembers = (members, prefix) => members.flatMap(member => {
+    const path = `${prefix}${member.name}`;
+    const nested = member.members || optionObjects.get(member.type);
+
+    return [
+      `### \`${path}\` {#${anchorOf(path)}}`,
+      '',
+      `- **Type:** ${typeLink(member.type, links)}`,
+      ...(member.defaultValue ? [`- **Default:** \`${member.defaultValue}\``] : []),
+      '',
+      ...(member.description ? [...paragraphs(member.description), ''] : []),
+      ...(member.deprecated ? [deprecationLine(member.deprecated), ''] : []),
+      ...(nested ? renderMembers(nested, `${path}.`) : [])
+    ];
+  });
+
+  return [`## Options {#options}`, '', ...renderMembers(options.members, '')];
+}
+
+const renderers = { interfaces: renderInterfaces, types: renderTypes, options: renderOptions };
+
+/**
+ * The regions of a page, as `{ kind, content }`
+ */
+function regionsOf(markdown) {
+  return [...markdown.matchAll(REGION)].map(match => ({ kind: match[2], content: match[3] }));
+}
+
+/**
+ * Render every region kind for the library's current types
+ */
+function renderRegions(types, pages) {
+  // Types link to the page documenting them
+  const links = new Map();
+  for (const symbol of types.symbols) {
+    const kind = symbol.kind === 'interface' ? 'interfaces' : 'types';
+    const page = pages.find(({ regions }) => regions.some(region => region.kind === kind));
+    if (page) links.set(symbol.name, `${pageUrl(page.file)}#${anchorOf(symbol.name)}`);
+  }
+
+  return Object.fromEntries(Object.entries(renderers).map(([kind, render]) =>
+    [kind, [NOTICE, '', ...render(types, links)].join('\n').replace(/\n+$/, '\n\n')]
+  ));
+}
+
+/**
+ * Read the pages with regions under docsDir. Only the sidebar sections are
+ * searched, so other versions of the docs keep the reference as it was for
+ * their release.
+ */
+function readPages(docsDir) {
+  return findPages(docsDir)
+    .map(file => {
+      const markdown = readFileSync(join(docsDir, file), 'utf-8');
+      return { file, markdown, regions: regionsOf(markdown) };
+    })
+    .filter(page => page.regions.length);
+}
+
+/**
+ * The pages with their regions regenerated, as `{ file, markdown, updated }`
+ */
+export function generateApiReference({ docsDir, library }) {
+  const types = readLibraryTypes(library);
+  const pages = readPages(docsDir);
+  const rendered = renderRegions(types, pages);
+
+  return {
+    version: types.version,
+    pages: pages.map(page => {
+      const updated = page.markdown.replace(REGION, (match, start, kind, content, end) => {
+        if (!rendered[kind]) {
+          throw new Error(`Unknown api-reference region "${kind}" in ${page.file}`);
+        }
+        return start + rendered[kind] + end;
+      });
+      return { file: page.file, markdown: page.markdown, updated };
+    })
+  };
+}
+
+/**
+ * The symbols and properties a region documents: every heading that is a
+ * single code span, and every anchored table row
+ */
+function documentedIn(kind, content) {
+  const names = new Set();
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    const heading = line.match(/^(#{2,6}) `([^`]+)` \{#[\w-]+\}$/);
+    if (heading) {
+      // Entry point headings group symbols; they aren't symbols themselves
+      if (kind !== 'options' && heading[1].length === 2) continue;
+      current = heading[2];
+      names.add(current);
+      continue;
+    }
+
+    const row = line.match(/^\| <a id="[\w-]+"><\/a>`([^`]+?)\??` \|/);
+    if (row && current) names.add(`${current}.${row[1].replace(/\\\|/g, '|')}`);
+  }
+
+  return names;
+}
+
+/**
+ * Compare the documented symbols with the library's exports. A symbol that
+ * is documented but no longer exported, or exported but not documented, is
+ * drift; a region whose text merely differs from a fresh render is stale.
+ */
+export function checkApiReference({ docsDir, library }) {
+  const types = readLibraryTypes(library);
+  const pages = readPages(docsDir);
+  const rendered = renderRegions(types, pages);
+
+  const removed = [];
+  const undocumented = [];
+  const stale = [];
+
+  for (const kind of Object.keys(renderers)) {
+    const expected = documentedIn(kind, rendered[kind]);
+    const documented = new Set();
+
+    for (const page of pages) {
+      for (const region of page.regions.filter(entry => entry.kind === kind)) {
+        const names = documentedIn(kind, region.content);
+        names.forEach(name => documented.add(name));
+        removed.push(...[...names].filter(name => !expected.has(name)).map(name => ({ page: page.file, name })));
+        if (region.content !== rendered[kind]) stale.push(page.file);
+      }
+    }
+
+    undocumented.push(...[...expected].filter(name => !documented.has(name)).map(name => ({ kind, name })));
+  }
+
+  return { version: types.version, removed, undocumented, stale: [...new Set(stale)] };
+}
+
+/**
+ * Print the drift check result. Returns the number of problems that should
+ * fail the build (stale text alone doesn't).
+ */
+export function reportApiReference({ version, removed, undocumented, stale }) {
+  console.log(`  Compared with wp-block-to-html ${version}`);
+
+  for (const { page, name } of removed) {
+    console.log(`  ❌ docs/${page}: ${name} is documented but no longer exported`);
+  }
+  for (const { kind, name } of undocumented) {
+    console.log(`  ❌ ${name} is exported but not documented (${kind})`);
+  }
+  for (const page of stale) {
+    console.log(`  ⚠️  docs/${page} is out of date with the type declarations`);
+  }
+  if (!removed.length && !undocumented.length && !stale.length) {
+    console.log('  API reference is up to date');
+  }
+
+  return removed.length + undocumented.length;
+}
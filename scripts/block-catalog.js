@@ -0,0 +1,284 @@
+/**
+ * Block Catalog
+ *
+ * Generates the block handler pages from the block manifest
+ * (docs/.vitepress/block-manifest.js). Every sample block in the manifest is
+ * converted with each CSS framework, so the output shown is exactly what the
+ * library emits. Each category's page takes part through a marked region,
+ * which is replaced on every refresh while the text around it is left alone:
+ *
+ *   <!-- block-catalog:start text -->
+ *   <!-- block-catalog:end -->
+ *
+ * For each block the region holds its attributes, the sample input, a
+ * rendered preview and the HTML per framework, under a fixed anchor derived
+ * from the block name (`#core-paragraph`) and a heading badged with the
+ * release the handler arrived in, if the manifest gives one. The same data is written to
+ * docs/.vitepress/theme/block-catalog.json for the filterable index on
+ * /api/blocks/.
+ *
+ * The check compares the pages and the data file with a fresh conversion. It
+ * runs as the block-catalog step of scripts/build.js;
+ * scripts/generate-block-catalog.js refreshes them.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { blockCategories } from '../docs/.vitepress/block-manifest.js';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+
+const REGION = /(<!-- block-catalog:start (\S+) -->\n)([\s\S]*?)(<!-- block-catalog:end -->)/g;
+
+const NOTICE = '<!-- Generated from docs/.vitepress/block-manifest.js by `npm run generate-block-catalog`. Edit the manifest rather than this section. -->';
+
+// Data file read by the catalog index, relative to the docs directory
+export const CATALOG_DATA = '.vitepress/theme/block-catalog.json';
+
+// CSS frameworks every sample is converted with, as `{ key, label }`; `key`
+// is the `cssFramework` option
+export const frameworks = [
+  { key: 'none', label: 'Default' },
+  { key: 'tailwind', label: 'Tailwind' },
+  { key: 'bootstrap', label: 'Bootstrap' }
+];
+
+/**
+ * Load the converter from the library's ESM entry point
+ */
+async function loadLibrary(libraryDir) {
+  const pkg = JSON.parse(readFileSync(join(libraryDir, 'package.json'), 'utf-8'));
+  const main = pkg.exports?.['.'];
+  const entry = (typeof main === 'string' ? main : main?.import) || pkg.module;
+  if (!entry || !existsSync(join(libraryDir, entry))) {
+    throw new Error(`No ESM build of wp-block-to-html in ${libraryDir}; build it first`);
+  }
+
+  return { version: pkg.version, library: await import(pathToFileURL(join(libraryDir, entry)).href) };
+}
+
+/**
+ * Anchor of a block's section, e.g. `core/media-text` -> `core-media-text`
+ */
+export function blockAnchor(name) {
+  return name.replace(/[^\w-]+/g, '-');
+}
+
+/**
+ * A manifest sample as a complete block
+ */
+function sampleBlock(block) {
+  const { attrs = {}, innerBlocks = [], innerContent = [''] } = block.sample;
+  return { blockName: block.name, attrs, innerBlocks, innerContent };
+}
+
+/**
+ * Convert every sample with every framework. Blocks without a registered
+ * handler, or whose sample fails to convert, are collected rather than thrown
+ * so the check can list them all.
+ */
+export async function buildCatalog(libraryDir) {
+  const { version, library } = await loadLibrary(libraryDir);
+  library.registerAllBlockHandlers?.();
+  const handlers = Object.keys(library.getAllBlockHandlers());
+
+  const blocks = [];
+  const missing = [];
+  const failed = [];
+
+  for (const category of blockCategories) {
+    for (const block of category.blocks) {
+      if (!handlers.includes(block.name)) {
+        missing.push(block.name);
+        continue;
+      }
+
+      const input = sampleBlock(block);
+      const output = {};
+      for (const { key } of frameworks) {
+        try {
+          output[key] = library.convertBlocks([input], { cssFramework: key });
+        } catch (error) {
+          failed.push({ name: block.name, framework: key, message: error.message });
+        }
+      }
+
+      blocks.push({
+        name: block.name,
+        title: block.title,
+        description: block.description,
+        ...(block.since && { since: block.since }),
+        category: category.key,
+        link: `${pageUrl(category.page)}#${blockAnchor(block.name)}`,
+        attributes: Object.entries(block.attributes).map(([name, attribute]) => ({ name, ...attribute })),
+        input,
+        output
+      });
+    }
+  }
+
+  // Provider variants (`core/embed-youtube`, ...) share the core/embed handler
+  const catalogued = new Set(blockCategories.flatMap(category => category.blocks.map(block => block.name)));
+  const isCatalogued = name => catalogued.has(name) || catalogued.has(name.replace(/^(core\/embed)-.+$/, '$1'));
+
+  return {
+    version,
+    categories: blockCategories.map(({ key, title, page }) => ({ key, title, link: pageUrl(page) })),
+    blocks,
+    missing,
+    failed,
+    uncatalogued: handlers.filter(name => !isCatalogued(name))
+  };
+}
+
+/**
+ * Escape a value for a markdown table cell
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * A fenced code block long enough not to be closed by its own content
+ */
+function fence(lang, code, title = '') {
+  const longest = Math.max(2, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${lang}${title ? ` [${title}]` : ''}\n${code.replace(/\n+$/, '')}\n${ticks}`;
+}
+
+/**
+ * The section of one block
+ */
+function renderBlock(block) {
+  const since = block.since ? ` [since: ${block.since}]` : '';
+  const lines = [`### ${block.title}${since} {#${blockAnchor(block.name)}}`, '', `\`${block.name}\`: ${block.description}`, ''];
+
+  if (block.attributes.length) {
+    lines.push('| Attribute | Type | Description |', '| --- | --- | --- |');
+    for (const { name, type, description } of block.attributes) {
+      lines.push(`| \`${name}\` | \`${cell(type)}\` | ${cell(description)} |`);
+    }
+  } else {
+    lines.push('This block has no attributes of its own; its content comes from `innerContent` and inner blocks.');
+  }
+
+  lines.push('', '**Input**', '', fence('json', JSON.stringify(block.input, null, 2)), '');
+  lines.push('**Output**', '', `<BlockPreview block="${block.name}" />`, '', '::: code-group');
+  for (const { key, label } of frameworks) {
+    lines.push(fence('html', block.output[key] ?? '', label));
+  }
+  lines.push(':::', '');
+
+  return lines;
+}
+
+/**
+ * The region content of a category
+ */
+function renderCategory(catalog, key) {
+  const blocks = catalog.blocks.filter(block => block.category === key);
+  const lines = [NOTICE, '', `Output generated with wp-block-to-html ${catalog.version}.`, ''];
+  for (const block of blocks) lines.push(...renderBlock(block));
+
+  return lines.join('\n').replace(/\n+$/, '\n\n');
+}
+
+/**
+ * The data file read by the catalog index
+ */
+function renderData(catalog) {
+  const { version, categories, blocks } = catalog;
+  return JSON.stringify({ version, frameworks, categories, blocks }, null, 2) + '\n';
+}
+
+/**
+ * The regions of a page, as `{ key, content }`
+ */
+function regionsOf(markdown) {
+  return [...markdown.matchAll(REGION)].map(match => ({ key: match[2], content: match[3] }));
+}
+
+/**
+ * The files the catalog writes, regenerated, as `{ file, contents, updated }`
+ * (`contents` is null for a file that doesn't exist yet)
+ */
+function renderFiles(catalog, docsDir) {
+  const files = [];
+
+  for (const { key, page } of blockCategories) {
+    const path = join(docsDir, page);
+    if (!existsSync(path)) {
+      throw new Error(`docs/${page} (block category "${key}") does not exist`);
+    }
+
+    const markdown = readFileSync(path, 'utf-8');
+    if (!regionsOf(markdown).some(region => region.key === key)) {
+      throw new Error(`docs/${page} has no <!-- block-catalog:start ${key} --> region`);
+    }
+
+    const updated = markdown.replace(REGION, (match, start, regionKey, content, end) => {
+      if (!blockCategories.some(category => category.key === regionKey)) {
+        throw new Error(`Unknown block-catalog region "${regionKey}" in docs/${page}`);
+      }
+      return start + renderCategory(catalog, regionKey) + end;
+    });
+    files.push({ file: page, contents: markdown, updated });
+  }
+
+  const dataPath = join(docsDir, CATALOG_DATA);
+  files.push({
+    file: CATALOG_DATA,
+    contents: existsSync(dataPath) ? readFileSync(dataPath, 'utf-8') : null,
+    updated: renderData(catalog)
+  });
+
+  return files;
+}
+
+/**
+ * Convert the manifest and render the catalog, as
+ * `{ version, files, missing, failed, uncatalogued }`
+ */
+export async function generateBlockCatalog({ docsDir, library }) {
+  const catalog = await buildCatalog(library);
+  const { version, missing, failed, uncatalogued } = catalog;
+
+  return { version, files: renderFiles(catalog, docsDir), missing, failed, uncatalogued };
+}
+
+/**
+ * Compare the committed catalog with a fresh conversion
+ */
+export async function checkBlockCatalog({ docsDir, library }) {
+  const { version, files, missing, failed, uncatalogued } = await generateBlockCatalog({ docsDir, library });
+  const stale = files.filter(({ contents, updated }) => contents !== updated).map(({ file }) => file);
+
+  return { version, missing, failed, uncatalogued, stale };
+}
+
+/**
+ * Print the check result. Returns the number of problems that should fail
+ * the build; handlers the manifest doesn't cover are only listed.
+ */
+export function reportBlockCatalog({ version, missing, failed, uncatalogued, stale }) {
+  console.log(`  Converted with wp-block-to-html ${version}`);
+
+  for (const name of missing) {
+    console.log(`  ❌ ${name} is in the block manifest but has no handler`);
+  }
+  for (const { name, framework, message } of failed) {
+    console.log(`  ❌ ${name} sample failed to convert with cssFramework "${framework}": ${message}`);
+  }
+  for (const file of stale) {
+    console.log(`  ❌ docs/${file} does not match the library's output`);
+  }
+  if (uncatalogued.length) {
+    console.log(`  ℹ️  ${uncatalogued.length} handlers are not in the catalog: ${uncatalogued.join(', ')}`);
+  }
+  if (!missing.length && !failed.length && !stale.length) {
+    console.log('  Block catalog is up to date');
+  }
+
+  return missing.length + failed.length + stale.length;
+}
@@ -2,98 +2,525 @@
 
 /**
  * Documentation Build Script
- * 
- * This script builds the documentation site using VitePress
- * and can be extended to perform additional tasks such as:
- * - Copying additional assets
- * - Deploying to GitHub Pages
- * - Generating a sitemap
- * - etc.
+ *
+ * Runs the build as an ordered list of steps, configured in
+ * docs.build.config.js:
+ *
+ *   clean          remove the previous build output
+ *   lint           check page frontmatter, headings and code fences
+ *   api-reference  check the TypeScript reference against the library's types
+ *   block-catalog  check the block catalog against the library's output
+ *   changelog      check the changelog page against the releases and annotations
+ *   images         render the icons, social images and page cards
+ *   vitepress      build the VitePress site
+ *   assets         copy extra files into the build output
+ *   redirects      check the moved-page redirects and write them into the output
+ *   llms           write llms.txt, markdown copies and a page manifest
+ *   post-process   run the configured tasks against the built site
+ *   service-worker write the service worker that caches the docs for offline use
+ *   performance    measure page weight, assets and images against budgets
+ *   verify         check internal links and anchors
+ *   translations   report missing and stale translations
+ *   offline        export a single HTML file and a PDF of the docs (not run
+ *                  by default; see below)
+ *
+ * Usage:
+ *   node scripts/build.js [--only <steps>] [--skip <steps>] [--dry-run]
+ *
+ * `--only` and `--skip` take comma-separated step names and can be repeated.
+ * Built-in steps that aren't in the configured list, like offline, run only
+ * when named in `--only`, after the configured steps:
+ *
+ *   node scripts/build.js --only clean,vitepress,offline
+ *
+ * `--dry-run` prints what each step would do without changing anything.
  */
 
-import { execSync } from 'child_process';
-import { mkdirSync, existsSync, copyFileSync } from 'fs';
-import { join, resolve } from 'path';
-
-// Configuration
-const config = {
-  // Base directories
-  docsDir: 'docs',
-  outputDir: 'docs/.vitepress/dist',
-  publicDir: 'docs/public',
-  
-  // Assets to copy
-  assets: [
-    { src: 'docs/public/logo.svg', dest: 'docs/.vitepress/dist/logo.svg' },
-    // Add more assets if needed
-  ],
-  
-  // Commands to run
-  commands: {
-    clean: 'rm -rf docs/.vitepress/dist',
-    build: 'vitepress build docs',
+import { spawnSync } from 'child_process';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { checkApiReference, reportApiReference } from './api-reference.js';
+import { checkBlockCatalog, reportBlockCatalog } from './block-catalog.js';
+import { checkChangelog, reportChangelog } from './changelog.js';
+import { checkLinks, reportLinks } from './check-links.js';
+import { findLibrary } from './library.js';
+import { exportMachineReadableDocs } from './llms-export.js';
+import { exportOfflineHtml, exportOfflinePdf } from './offline-export.js';
+import { lintPages, reportLint } from './page-lint.js';
+import { analyzeBuild, formatBytes, reportPerformance } from './perf-budget.js';
+import { checkRedirects, reportRedirects, writeRedirects } from './redirects.js';
+import { writeServiceWorker } from './service-worker.js';
+import { reportTranslations, translationReport } from './translation-report.js';
+import { redirects } from '../docs/.vitepress/redirects.js';
+import { siteMeta } from '../docs/.vitepress/site-meta.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = resolve(__dirname, '..');
+const configFile = join(rootDir, 'docs.build.config.js');
+
+/**
+ * Built-in steps, by name
+ */
+const builtinSteps = {
+  clean: {
+    title: '🧹 Cleaning output directory',
+    run({ config, action }) {
+      action(`Remove ${config.outputDir}`, () => {
+        rmSync(config.outputDir, { recursive: true, force: true });
+      });
+    }
+  },
+
+  lint: {
+    title: '🔎 Linting pages',
+    run({ config, action }) {
+      action(`Lint the pages in ${config.docsDir}`, () => {
+        const result = lintPages({ docsDir: config.docsDir, description: config.lint.description });
+        const errors = reportLint(result, config.lint.report);
+        if (errors > 0) {
+          throw new Error(`${errors} lint error${errors === 1 ? '' : 's'} found; run \`npm run lint:pages -- --fix\` for the fixable ones`);
+        }
+      });
+    }
+  },
+
+  'api-reference': {
+    title: '📘 Checking the API reference',
+    run({ config, action }) {
+      const library = findLibrary(config.apiReference.library);
+      if (!library) {
+        throw new Error('wp-block-to-html not found; install it or set apiReference.library');
+      }
+
+      action(`Compare the reference pages in ${config.docsDir} with the types in ${library}`, () => {
+        const problems = reportApiReference(checkApiReference({ docsDir: config.docsDir, library }));
+        if (problems > 0) {
+          throw new Error(`${problems} API reference problem${problems === 1 ? '' : 's'} found; run \`npm run generate-api-reference\``);
+        }
+      });
+    }
+  },
+
+  'block-catalog': {
+    title: '🧱 Checking the block catalog',
+    async run({ config, action }) {
+      const library = findLibrary(config.blockCatalog.library);
+      if (!library) {
+        throw new Error('wp-block-to-html not found; install it or set blockCatalog.library');
+      }
+
+      await action(`Convert the block manifest samples with ${library} and compare them with the catalog pages`, async () => {
+        const problems = reportBlockCatalog(await checkBlockCatalog({ docsDir: config.docsDir, library }));
+        if (problems > 0) {
+          throw new Error(`${problems} block catalog problem${problems === 1 ? '' : 's'} found; run \`npm run generate-block-catalog\``);
+        }
+      });
+    }
+  },
+
+  changelog: {
+    title: '📜 Checking the changelog',
+    run({ config, action }) {
+      action(`Compare docs/changelog.md with the releases and the annotations in ${config.docsDir}`, () => {
+        const problems = reportChangelog(checkChangelog({ docsDir: config.docsDir }));
+        if (problems > 0) {
+          throw new Error(`${problems} changelog problem${problems === 1 ? '' : 's'} found; run \`npm run generate-changelog\``);
+        }
+      });
+    }
+  },
+
+  images: {
+    title: '🖼️  Generating images',
+    run({ action }) {
+      action('Run scripts/generate-images.js', () => {
+        runNode(['--no-warnings', join(__dirname, 'generate-images.js')]);
+      });
+    }
+  },
+
+  vitepress: {
+    title: '🔨 Building VitePress site',
+    async run({ config, action }) {
+      await action(`Build ${config.docsDir} into ${config.outputDir}`, async () => {
+        // Imported lazily so dry runs and partial builds don't load VitePress
+        const { build } = await import('vitepress');
+        await build(config.docsDir);
+      });
+    }
+  },
+
+  assets: {
+    title: '📦 Copying additional assets',
+    run({ config, action }) {
+      for (const { from, to } of config.assets) {
+        const files = expandGlob(from);
+        if (!files.length) {
+          throw new Error(`No files match asset pattern ${from}`);
+        }
+
+        const base = globBase(from);
+        for (const file of files) {
+          const dest = join(to, relative(base, file));
+          action(`Copy ${file} to ${dest}`, () => {
+            mkdirSync(dirname(dest), { recursive: true });
+            copyFileSync(file, dest);
+          });
+        }
+      }
+    }
+  },
+
+  redirects: {
+    title: '↪️  Writing redirects',
+    run({ config, action }) {
+      action(`Check the redirects in docs/.vitepress/redirects.js and write them into ${config.outputDir}`, () => {
+        const problems = reportRedirects(redirects, checkRedirects({ redirects, docsDir: config.docsDir, outDir: config.outputDir }));
+        if (problems > 0) {
+          throw new Error(`${problems} redirect problem${problems === 1 ? '' : 's'} found`);
+        }
+
+        const written = writeRedirects({ redirects, outDir: config.outputDir, publicDir: config.publicDir, siteUrl: siteMeta.url });
+        console.log(`  Wrote ${written.length} files: ${written.join(', ')}`);
+      });
+    }
+  },
+
+  llms: {
+    title: '🤖 Exporting machine-readable docs',
+    run({ config, action }) {
+      action(`Write llms.txt, llms-full.txt, docs-manifest.json and a markdown copy of each page into ${config.outputDir}`, () => {
+        const { indexed, copies } = exportMachineReadableDocs({ docsDir: config.docsDir, outDir: config.outputDir });
+        console.log(`  ${indexed} pages in llms.txt, ${copies} markdown copies`);
+      });
+    }
+  },
+
+  'post-process': {
+    title: '🛠️  Post-processing built site',
+    async run(context) {
+      if (!context.config.postProcess.length) {
+        console.log('  Nothing to do');
+      }
+      for (const task of context.config.postProcess) {
+        console.log(`  ${task.name}`);
+        await task.run(context);
+      }
+    }
+  },
+
+  'service-worker': {
+    title: '📶 Writing the service worker',
+    run({ config, action }) {
+      action(`Write sw.js into ${config.outputDir}, caching the files of this build`, () => {
+        const { version, shell, files, bytes } = writeServiceWorker({ outDir: config.outputDir, exclude: config.serviceWorker.exclude });
+        console.log(`  Version ${version}: ${shell.length} files cached on install, ${files.length} (${formatBytes(bytes)}) when saved for offline reading`);
+      });
+    }
+  },
+
+  performance: {
+    title: '📊 Checking performance budgets',
+    run({ config, action }) {
+      action(`Measure ${config.outputDir} against the performance budgets`, () => {
+        const { budgets, images, largest, ignore, report } = config.performance;
+        const result = analyzeBuild({ outDir: config.outputDir, siteUrl: siteMeta.url, budgets, images, largest, ignore });
+
+        const breaches = reportPerformance(result, report);
+        if (breaches > 0) {
+          throw new Error(`${breaches} performance budget${breaches === 1 ? '' : 's'} exceeded`);
+        }
+      });
+    }
+  },
+
+  verify: {
+    title: '🔗 Checking links',
+    run({ config, action }) {
+      action(`Check links in ${config.docsDir} against ${config.outputDir}`, () => {
+        const result = checkLinks({
+          docsDir: config.docsDir,
+          outDir: config.outputDir,
+          publicDir: config.publicDir,
+          ignore: config.linkCheck.ignore
+        });
+
+        const broken = reportLinks(result, config.linkCheck.report);
+        if (broken > 0) {
+          throw new Error(`${broken} broken link${broken === 1 ? '' : 's'} found`);
+        }
+      });
+    }
+  },
+
+  translations: {
+    title: '🌐 Checking translations',
+    run({ config, action }) {
+      action(`Compare translations in ${config.docsDir} with the English pages`, () => {
+        reportTranslations(translationReport({ docsDir: config.docsDir }), config.translations.report);
+      });
+    }
   }
 };
 
 /**
- * Main build function
+ * Steps that only run when asked for with --only
  */
-async function build() {
-  try {
-    console.log('📝 Building documentation site...');
-    
-    // 1. Clean the output directory
-    console.log('🧹 Cleaning output directory...');
-    execSync(config.commands.clean, { stdio: 'inherit' });
-    
-    // 2. Build the documentation
-    console.log('🔨 Building VitePress site...');
-    execSync(config.commands.build, { stdio: 'inherit' });
-    
-    // 3. Copy additional assets if needed
-    console.log('📦 Copying additional assets...');
-    copyAssets();
-    
-    // 4. Generate sitemap (optional)
-    // generateSitemap();
-    
-    console.log('✅ Documentation built successfully!');
-    console.log(`📂 Output directory: ${resolve(config.outputDir)}`);
-    
-  } catch (error) {
-    console.error('❌ Build failed:', error);
-    process.exit(1);
+const optInSteps = {
+  offline: {
+    title: '📄 Exporting the offline docs',
+    run({ config, action }) {
+      const { outputDir, fileName, sections, pdf, browser } = config.offline;
+      const html = join(outputDir, `${fileName}.html`);
+
+      action(`Write the ${sections.join(', ')} sections of ${config.outputDir} to ${html}`, () => {
+        const result = exportOfflineHtml({ outDir: config.outputDir, publicDir: config.publicDir, sections, file: html });
+        console.log(`  ${result.pages} pages`);
+        for (const { page, src } of result.missingImages) {
+          console.log(`  ⚠️  docs/${page}: image ${src} could not be inlined`);
+        }
+      });
+
+      if (pdf) {
+        action(`Print ${html} to PDF`, () => {
+          const result = exportOfflinePdf({ html, pdf: join(outputDir, `${fileName}.pdf`), browser });
+          console.log(`  Printed ${result.pdf} with ${result.browser}`);
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Run a node script in a child process, failing the step if it fails
+ */
+function runNode(args) {
+  const result = spawnSync(process.execPath, args, { stdio: 'inherit' });
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    throw new Error(`node ${args.join(' ')} exited with code ${result.status}`);
   }
 }
 
 /**
- * Copy additional assets to the output directory
+ * The part of a glob before its first wildcard segment,
+ * e.g. `docs/public/**\/*.svg` -> `docs/public`
  */
-function copyAssets() {
-  config.assets.forEach(asset => {
-    const destDir = asset.dest.split('/').slice(0, -1).join('/');
-    
-    // Create destination directory if it doesn't exist
-    if (!existsSync(destDir)) {
-      mkdirSync(destDir, { recursive: true });
-    }
-    
-    // Copy the asset
-    copyFileSync(asset.src, asset.dest);
-    console.log(`  Copied ${asset.src} to ${asset.dest}`);
+function globBase(pattern) {
+  const segments = pattern.split('/');
+  const wildcard = segments.findIndex(segment => /[*?{]/.test(segment));
+  if (wildcard === -1) return dirname(pattern);
+  return segments.slice(0, wildcard).join('/') || '.';
+}
+
+/**
+ * Convert a glob to a regular expression matching forward-slash paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches any number of directories, including none
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      const options = pattern.slice(i + 1, end).split(',');
+      source += `(?:${options.map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Files matching a glob, relative to the repository root
+ */
+function expandGlob(pattern) {
+  if (!/[*?{]/.test(pattern)) {
+    return existsSync(pattern) ? [pattern] : [];
+  }
+
+  const base = globBase(pattern);
+  if (!existsSync(base)) return [];
+
+  const matcher = globToRegExp(pattern);
+  return readdirSync(base, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => join(entry.parentPath ?? entry.path, entry.name).split(/[\\/]/).join('/'))
+    .filter(file => matcher.test(file))
+    .sort();
+}
+
+/**
+ * Parse --only, --skip and --dry-run
+ */
+function parseArgs(argv) {
+  const options = { only: [], skip: [], dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split('=');
+
+    if (flag === '--only' || flag === '--skip') {
+      const value = inline ?? argv[++i];
+      if (!value) throw new Error(`${flag} needs a comma-separated list of steps`);
+      options[flag.slice(2)].push(...value.split(',').map(name => name.trim()).filter(Boolean));
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Resolve the configured step list into step objects, applying --only and --skip
+ */
+function resolveSteps(config, { only, skip }) {
+  const steps = config.steps.map(step => {
+    if (typeof step === 'string') {
+      const builtin = builtinSteps[step] || optInSteps[step];
+      if (!builtin) {
+        throw new Error(`Unknown build step "${step}" in docs.build.config.js`);
+      }
+      return { name: step, ...builtin };
+    }
+    if (!step.name || typeof step.run !== 'function') {
+      throw new Error('Custom build steps need a `name` and a `run` function');
+    }
+    return { title: step.name, ...step };
   });
+
+  // Opt-in steps named in --only run after the configured ones
+  for (const name of only) {
+    if (optInSteps[name] && !steps.some(step => step.name === name)) {
+      steps.push({ name, ...optInSteps[name] });
+    }
+  }
+
+  const names = steps.map(step => step.name);
+  const unknown = [...only, ...skip].filter(name => !names.includes(name));
+  if (unknown.length) {
+    const available = [...names, ...Object.keys(optInSteps).filter(name => !names.includes(name))];
+    throw new Error(`Unknown step${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  }
+
+  return steps.filter(step => (!only.length || only.includes(step.name)) && !skip.includes(step.name));
+}
+
+/**
+ * Load docs.build.config.js, filling in defaults
+ */
+async function loadConfig() {
+  const { default: config } = await import(pathToFileURL(configFile).href);
+
+  return {
+    assets: [],
+    postProcess: [],
+    ...config,
+    apiReference: { library: null, ...config.apiReference },
+    blockCatalog: { library: null, ...config.blockCatalog },
+    lint: {
+      ...config.lint,
+      description: { min: 50, max: 160, ...config.lint?.description }
+    },
+    linkCheck: { ignore: [], ...config.linkCheck },
+    serviceWorker: { exclude: [], ...config.serviceWorker },
+    performance: {
+      largest: 10,
+      ignore: [],
+      ...config.performance,
+      budgets: { ...config.performance?.budgets },
+      images: { maxScale: 2, contentWidth: 688, ...config.performance?.images }
+    },
+    offline: {
+      outputDir: 'docs/.vitepress/offline',
+      fileName: 'docs',
+      sections: ['guide', 'api'],
+      pdf: true,
+      browser: null,
+      ...config.offline
+    },
+    translations: { ...config.translations }
+  };
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
 }
 
 /**
- * Generate a sitemap (example, not implemented)
+ * Main build function
  */
-function generateSitemap() {
-  console.log('📊 Generating sitemap...');
-  // Implementation would go here
+async function build() {
+  // Config paths are relative to the repository root
+  process.chdir(rootDir);
+
+  const options = parseArgs(process.argv.slice(2));
+  const config = await loadConfig();
+  const steps = resolveSteps(config, options);
+
+  // The site shows the version of the library the API reference is checked
+  // against. The VitePress config bundles its own copy of site-meta.js, so
+  // the configured copy is handed over through the environment.
+  if (config.apiReference.library) {
+    process.env.WP_BLOCK_TO_HTML_PATH = resolve(config.apiReference.library);
+  }
+
+  const context = {
+    config,
+    dryRun: options.dryRun,
+    // Perform a change, or only describe it in a dry run
+    action(message, fn) {
+      console.log(`  ${options.dryRun ? '[dry run] ' : ''}${message}`);
+      if (!options.dryRun) return fn();
+    }
+  };
+
+  console.log(`📝 Building documentation site${options.dryRun ? ' (dry run)' : ''}...`);
+
+  const timings = [];
+  for (const step of steps) {
+    console.log(`${step.title}...`);
+    const start = performance.now();
+
+    try {
+      await step.run(context);
+    } catch (error) {
+      error.message = `${step.name} step failed: ${error.message}`;
+      throw error;
+    }
+
+    const duration = performance.now() - start;
+    timings.push({ name: step.name, duration });
+    console.log(`  ⏱️  ${formatDuration(duration)}`);
+  }
+
+  console.log('\n⏱️  Step timings:');
+  for (const { name, duration } of timings) {
+    console.log(`  ${name.padEnd(14)} ${formatDuration(duration)}`);
+  }
+
+  console.log(`✅ Documentation ${options.dryRun ? 'dry run finished' : 'built successfully'}!`);
+  console.log(`📂 Output directory: ${resolve(config.outputDir)}`);
 }
 
-// Run the build process
 build().catch(error => {
-  console.error('Unhandled error:', error);
+  console.error('❌ Build failed:', error.message);
   process.exit(1);
-}); 
\ No newline at end of file
+});
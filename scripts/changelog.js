@@ -0,0 +1,203 @@
+/**
+ * Changelog
+ *
+ * Generates docs/changelog.md from the releases in
+ * docs/.vitepress/changelog.js and the release annotations on the sidebar
+ * section pages:
+ *
+ *   since: '1.5.0'           frontmatter: the whole page arrived in 1.5.0
+ *   deprecated: '1.1.0'      frontmatter: the whole page was deprecated in 1.1.0
+ *   ## Title [since: 1.5.0]  a section arrived in 1.5.0 (or `[deprecated: ...]`)
+ *
+ * Each release lists its changes, then links to the pages and sections
+ * annotated with it. A marker outside a heading counts for the section it is
+ * in. `deprecated: true` isn't tied to a release, so it only gets its badge.
+ *
+ * The check fails on annotations naming a release that isn't in the data
+ * file and on a changelog page that doesn't match a fresh render. It runs as
+ * the changelog step of scripts/build.js; scripts/generate-changelog.js
+ * rewrites the page.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import matter from 'gray-matter';
+import { changeTypes, releaseAnchor, releases } from '../docs/.vitepress/changelog.js';
+import { releaseMarker } from '../docs/.vitepress/release-markers.js';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+import { headingText, slugify } from './page-lint.js';
+import { findPages } from './pages.js';
+
+// The generated page, relative to the docs directory
+export const CHANGELOG_PAGE = 'changelog.md';
+
+const NOTICE = '<!-- Generated from docs/.vitepress/changelog.js and the pages\' since/deprecated annotations by `npm run generate-changelog`. Edit those rather than this file. -->';
+
+/**
+ * Every since/deprecated annotation on the section pages, as
+ * `{ type, version, title, link, file, line }`, in sidebar section order
+ */
+export function collectAnnotations(docsDir) {
+  const annotations = [];
+
+  for (const file of findPages(docsDir)) {
+    const source = readFileSync(join(docsDir, file), 'utf-8');
+    const { data, content } = matter(source);
+    const offset = source.split('\n').length - content.split('\n').length;
+    const link = pageUrl(file);
+
+    const h1 = content.match(/^#\s+(.+?)\s*$/m);
+    const pageTitle = data.title || (h1 ? headingText(h1[1].replace(/\s*\{#[\w-]+\}$/, '')) : file);
+
+    for (const type of ['since', 'deprecated']) {
+      if (typeof data[type] === 'string') {
+        annotations.push({ type, version: data[type], title: pageTitle, link, file, line: 1 });
+      }
+    }
+
+    // Markers count for the heading they're in or under
+    let section = { title: pageTitle, link };
+    let fence = null;
+
+    content.split('\n').forEach((text, index) => {
+      const fenceMatch = text.match(/^\s*(`{3,}|~{3,})(.*)$/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1].startsWith(fence) && !fenceMatch[2].trim()) fence = null;
+        return;
+      }
+      if (fence) return;
+
+      const heading = text.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading && heading[1].length > 1) {
+        const custom = heading[2].match(/\s*\{#([\w-]+)\}$/);
+        const title = headingText(heading[2].replace(/\s*\{#[\w-]+\}$/, ''));
+        section = { title, link: `${link}#${custom ? custom[1] : slugify(title)}` };
+      }
+
+      for (const [, type, version] of text.matchAll(releaseMarker)) {
+        annotations.push({ type, version, ...section, file, line: index + offset + 1 });
+      }
+    });
+  }
+
+  return annotations;
+}
+
+/**
+ * Escape text for a markdown link label
+ */
+function label(text) {
+  return text.replace(/([[\]])/g, '\\$1');
+}
+
+/**
+ * A release's section of the page
+ */
+function renderRelease(release, annotations) {
+  const anchor = releaseAnchor(release.version);
+  const lines = [
+    `## ${release.version} {#${anchor}}`,
+    '',
+    release.date ? `_Released ${release.date}_` : '_Release date not recorded_',
+    '',
+    release.summary,
+    ''
+  ];
+
+  for (const [type, heading] of Object.entries(changeTypes)) {
+    const changes = release.changes.filter(change => change.type === type);
+    if (!changes.length) continue;
+    lines.push(`### ${heading} {#${anchor}-${type}}`, '', ...changes.map(change => `- ${change.text}`), '');
+  }
+
+  const documented = [
+    ['since', 'New in the docs', 'Pages and sections documenting what arrived in this release:'],
+    ['deprecated', 'Deprecated in the docs', 'Pages and sections documenting what this release deprecated:']
+  ];
+  for (const [type, heading, intro] of documented) {
+    const matching = annotations.filter(annotation => annotation.type === type && annotation.version === release.version);
+    if (!matching.length) continue;
+
+    // A section marked more than once is listed once
+    const links = [...new Map(matching.map(({ title, link }) => [link, title])).entries()];
+    lines.push(`### ${heading} {#${anchor}-${type}-docs}`, '', intro, '', ...links.map(([link, title]) => `- [${label(title)}](${link})`), '');
+  }
+
+  return lines;
+}
+
+/**
+ * The changelog page for the given annotations
+ */
+function renderChangelog(annotations) {
+  const lines = [
+    '---',
+    'title: Changelog',
+    'description: Every release of wp-block-to-html, what changed in it and the documentation pages covering what it added or deprecated.',
+    '---',
+    '',
+    NOTICE,
+    '',
+    '# Changelog',
+    '',
+    'Releases of wp-block-to-html, newest first. Pages and sections marked with a release badge are listed under the release they arrived or were deprecated in.',
+    '',
+    'Follow new releases with the [Atom feed](/feed.xml).',
+    ''
+  ];
+
+  for (const release of releases) {
+    lines.push(...renderRelease(release, annotations));
+  }
+
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+/**
+ * Collect the annotations and render the changelog page, as
+ * `{ annotations, unknown, file, contents, updated }`. `unknown` are the
+ * annotations naming a release that isn't in the data file; `contents` is
+ * null when the page doesn't exist yet.
+ */
+export function generateChangelog({ docsDir }) {
+  const annotations = collectAnnotations(docsDir);
+  const versions = new Set(releases.map(release => release.version));
+  const unknown = annotations.filter(annotation => !versions.has(annotation.version));
+
+  const path = join(docsDir, CHANGELOG_PAGE);
+  return {
+    annotations,
+    unknown,
+    file: CHANGELOG_PAGE,
+    contents: existsSync(path) ? readFileSync(path, 'utf-8') : null,
+    updated: renderChangelog(annotations)
+  };
+}
+
+/**
+ * Compare the committed changelog page with a fresh render
+ */
+export function checkChangelog({ docsDir }) {
+  const { annotations, unknown, file, contents, updated } = generateChangelog({ docsDir });
+  return { annotations, unknown, stale: contents === updated ? [] : [file] };
+}
+
+/**
+ * Print the check result. Returns the number of problems.
+ */
+export function reportChangelog({ annotations, unknown, stale }) {
+  console.log(`  ${releases.length} releases, ${annotations.length} annotations`);
+
+  for (const { type, version, file, line } of unknown) {
+    console.log(`  ❌ docs/${file}:${line}: ${type} ${version} isn't a release in docs/.vitepress/changelog.js`);
+  }
+  for (const file of stale) {
+    console.log(`  ❌ docs/${file} does not match the releases and annotations`);
+  }
+  if (!unknown.length && !stale.length) {
+    console.log('  Changelog is up to date');
+  }
+
+  return unknown.length + stale.length;
+}
@@ -0,0 +1,289 @@
+/**
+ * Link Checker
+ *
+ * Checks every link in the documentation without touching the network:
+ * - relative and site-absolute links must point at an existing page
+ * - `#anchor` fragments must match a heading id in the built page
+ * - references to files in docs/public must point at an existing file
+ *
+ * Links are read from the markdown sources (so problems can be reported with
+ * a line number) and anchors from the built HTML (so they match the slugs
+ * VitePress actually generated). The `href`s of the built pages are checked
+ * as well, against the build output, which covers links that only exist
+ * once the site is rendered: the nav and sidebar, theme components and
+ * generated sections. External URLs are collected into the report but never
+ * fetched.
+ *
+ * Runs as the verify step of scripts/build.js, after `vitepress build`.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, posix } from 'path';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+import { findAllPages } from './pages.js';
+
+const EXTERNAL = /^(https?:)?\/\//i;
+const NON_HTTP = /^(mailto|tel|javascript|data):/i;
+
+/**
+ * Extract links from markdown with their line numbers. Fenced code blocks,
+ * inline code and frontmatter are skipped, since links there are examples.
+ */
+export function extractLinks(markdown) {
+  const links = [];
+  const lines = markdown.split('\n');
+  let fence = null;
+  let inFrontmatter = lines[0] === '---';
+
+  lines.forEach((raw, i) => {
+    if (inFrontmatter) {
+      if (i > 0 && raw === '---') inFrontmatter = false;
+      return;
+    }
+
+    const fenceMatch = raw.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1].startsWith(fence)) fence = null;
+      return;
+    }
+    if (fence) return;
+
+    const line = raw.replace(/`[^`]*`/g, '');
+    const patterns = [
+      /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g, // [text](url "title")
+      /^\s*\[[^\]]+\]:\s*<?(\S+?)>?(?:\s|$)/g,                       // [ref]: url
+      /\s(?:href|src)="([^"]+)"/g                                   // <a href>, <img src>
+    ];
+
+    for (const pattern of patterns) {
+      for (const match of line.matchAll(pattern)) {
+        links.push({ line: i + 1, target: match[1] });
+      }
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Extract the `href` of every element in a built HTML page, with line
+ * numbers. Code blocks escape their quotes, so examples aren't picked up.
+ */
+export function extractHtmlLinks(html) {
+  const links = [];
+  let line = 1;
+  let counted = 0;
+
+  for (const match of html.matchAll(/\shref="([^"]*)"/g)) {
+    for (let i = counted; i < match.index; i++) {
+      if (html[i] === '\n') line++;
+    }
+    counted = match.index;
+    links.push({ line, target: match[1].replace(/&amp;/g, '&') });
+  }
+
+  return links;
+}
+
+/**
+ * Collect the id of every element in a built HTML page
+ */
+function collectIds(html) {
+  return new Set([...html.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]));
+}
+
+/**
+ * Whether a link is listed as a known exception. Entries are either exact
+ * link targets, prefixes ending in `*`, or regular expressions.
+ */
+function isIgnored(target, ignore) {
+  return ignore.some(entry => {
+    if (entry instanceof RegExp) return entry.test(target);
+    if (entry.endsWith('*')) return target.startsWith(entry.slice(0, -1));
+    return target === entry;
+  });
+}
+
+/**
+ * Check every link in the docs. Returns broken links and external URLs,
+ * both grouped by the page they appear on.
+ */
+export function checkLinks({ docsDir, outDir, publicDir, ignore = [] }) {
+  const pages = findAllPages(docsDir);
+  const pagesByUrl = new Map(pages.map(page => [pageUrl(page), page]));
+
+  // Element ids of the built pages, by file relative to outDir
+  const idsByFile = new Map();
+  const idsOf = (file) => {
+    if (!idsByFile.has(file)) {
+      const htmlFile = join(outDir, file);
+      idsByFile.set(file, existsSync(htmlFile) ? collectIds(readFileSync(htmlFile, 'utf-8')) : null);
+    }
+    return idsByFile.get(file);
+  };
+  const idsFor = page => idsOf(page.replace(/\.md$/, '.html'));
+
+  const broken = {};
+  const external = {};
+  let checked = 0;
+
+  for (const page of pages) {
+    const source = readFileSync(join(docsDir, page), 'utf-8');
+
+    for (const { line, target } of extractLinks(source)) {
+      if (NON_HTTP.test(target) || isIgnored(target, ignore)) continue;
+
+      if (EXTERNAL.test(target)) {
+        (external[page] ||= []).push({ line, target });
+        continue;
+      }
+
+      checked++;
+      const problem = checkInternalLink(page, target, { pagesByUrl, idsFor, publicDir, outDir });
+      if (problem) {
+        (broken[page] ||= []).push({ line, target, problem });
+      }
+    }
+  }
+
+  // The rendered pages repeat the nav and sidebar, so each distinct link is
+  // checked once per page and each output file looked up once
+  const exists = new Map();
+  const existsInOutput = file => {
+    if (!exists.has(file)) exists.set(file, existsSync(join(outDir, file)));
+    return exists.get(file);
+  };
+  let checkedBuilt = 0;
+
+  for (const file of findBuiltPages(outDir)) {
+    const seen = new Set();
+
+    for (const { line, target } of extractHtmlLinks(readFileSync(join(outDir, file), 'utf-8'))) {
+      if (seen.has(target) || EXTERNAL.test(target) || NON_HTTP.test(target) || isIgnored(target, ignore)) continue;
+      seen.add(target);
+
+      checkedBuilt++;
+      const problem = checkBuiltLink(file, target, { existsInOutput, idsOf });
+      if (problem) {
+        (broken[file] ||= []).push({ line, target, problem });
+      }
+    }
+  }
+
+  return { checked, checkedBuilt, broken, external };
+}
+
+/**
+ * Every HTML file in the build output, relative to outDir
+ */
+function findBuiltPages(outDir) {
+  return readdirSync(outDir, { recursive: true })
+    .map(file => file.split(/[\\/]/).join('/'))
+    .filter(file => file.endsWith('.html'))
+    .sort();
+}
+
+/**
+ * Describe what is wrong with a link in a built page, or return null if the
+ * file it points at is in the build output (with the anchor, for pages)
+ */
+function checkBuiltLink(file, target, { existsInOutput, idsOf }) {
+  const [pathPart, hash] = target.split('#');
+  const fragment = hash ? decodeURIComponent(hash) : null;
+
+  let targetFile = file;
+
+  if (pathPart) {
+    const path = decodeURIComponent(pathPart.split('?')[0]);
+    const absolute = posix.resolve(posix.dirname(`/${file}`), path).slice(1);
+
+    // `/guide/` is served from guide/index.html, and `/guide/intro` (with
+    // clean URLs) from guide/intro.html
+    if (/(^|\/)\.{0,2}$/.test(path)) {
+      targetFile = absolute ? `${absolute}/index.html` : 'index.html';
+    } else if (/\.[a-z0-9]+$/i.test(absolute)) {
+      targetFile = absolute;
+    } else {
+      targetFile = `${absolute}.html`;
+    }
+
+    if (!existsInOutput(targetFile)) return `${targetFile} not found in the build output`;
+  }
+
+  if (fragment && targetFile.endsWith('.html') && !idsOf(targetFile).has(fragment)) {
+    return `no element #${fragment} in ${targetFile}`;
+  }
+
+  return null;
+}
+
+/**
+ * Describe what is wrong with an internal link, or return null if it resolves
+ */
+function checkInternalLink(page, target, { pagesByUrl, idsFor, publicDir, outDir }) {
+  const [pathPart, hash] = target.split('#');
+  const fragment = hash === undefined ? null : decodeURIComponent(hash);
+
+  // `#anchor` on its own refers to the current page
+  let targetPage = page;
+
+  if (pathPart) {
+    const base = posix.dirname(pageUrl(page) + (page.endsWith('index.md') ? 'index' : ''));
+    const absolute = posix.resolve(base, pathPart.split('?')[0]);
+    const url = absolute.replace(/\.(md|html)$/, '');
+
+    // `posix.resolve` drops trailing slashes, so `/guide/` arrives as `/guide`.
+    // Hosts don't agree on serving a directory index without its slash, so
+    // `/guide` doesn't count as a link to `/guide/` (or the other way round).
+    const directory = /(^|\/)\.{0,2}$/.test(pathPart.split('?')[0]) && url !== '/';
+    targetPage = pagesByUrl.get(directory ? `${url}/` : url);
+
+    if (!targetPage && pagesByUrl.has(directory ? url : `${url}/`)) {
+      return `page not found; link to ${directory ? url : `${url}/`} instead`;
+    }
+
+    if (!targetPage) {
+      // Not a page, so it has to be a static file from docs/public (or one
+      // VitePress emitted into the build output)
+      if (existsSync(join(publicDir, absolute)) || existsSync(join(outDir, absolute))) {
+        return null;
+      }
+      return /\.[a-z0-9]+$/i.test(absolute) ? 'asset not found in docs/public' : 'page not found';
+    }
+  }
+
+  if (fragment) {
+    const ids = idsFor(targetPage);
+    if (!ids) return `${targetPage} has not been built`;
+    if (!ids.has(fragment)) return `no heading #${fragment} in ${targetPage}`;
+  }
+
+  return null;
+}
+
+/**
+ * Print the report and write it as JSON. Returns the number of broken links.
+ */
+export function reportLinks({ checked, checkedBuilt, broken, external }, reportFile) {
+  const brokenCount = Object.values(broken).reduce((sum, links) => sum + links.length, 0);
+  const externalCount = Object.values(external).reduce((sum, links) => sum + links.length, 0);
+
+  for (const [page, links] of Object.entries(broken)) {
+    console.log(`  ${page}`);
+    for (const { line, target, problem } of links) {
+      console.log(`    ${line}: ${target} → ${problem}`);
+    }
+  }
+
+  console.log(`  Checked ${checked} internal links in the sources and ${checkedBuilt} in the built pages: ${brokenCount} broken`);
+  console.log(`  Collected ${externalCount} external links (not fetched)`);
+
+  if (reportFile) {
+    mkdirSync(dirname(reportFile), { recursive: true });
+    writeFileSync(reportFile, JSON.stringify({ broken, external }, null, 2));
+    console.log(`  Report written to ${reportFile}`);
+  }
+
+  return brokenCount;
+}
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * API Reference Generator
+ *
+ * Refreshes the generated sections of the TypeScript reference pages from
+ * wp-block-to-html's type declarations (see ./api-reference.js):
+ *
+ *   node scripts/generate-api-reference.js [--lib <path to wp-block-to-html>] [--check]
+ *
+ * The library is looked up in --lib, $WP_BLOCK_TO_HTML_PATH, a sibling
+ * ../wp-block-to-html checkout, then node_modules; a checkout has to be
+ * built first so its `.d.ts` files exist. `--check` writes nothing and exits
+ * with an error when any page is out of date.
+ */
+
+import { writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { checkApiReference, generateApiReference, reportApiReference } from './api-reference.js';
+import { findLibrary, libraryArg } from './library.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const docsDir = resolve(__dirname, '../docs');
+
+try {
+  const argv = process.argv.slice(2);
+  const library = findLibrary(libraryArg(argv));
+  if (!library) {
+    throw new Error('wp-block-to-html not found (use --lib <path>)');
+  }
+
+  if (argv.includes('--check')) {
+    const result = checkApiReference({ docsDir, library });
+    const problems = reportApiReference(result) + result.stale.length;
+    if (problems) {
+      throw new Error('The API reference is out of date; run `npm run generate-api-reference`');
+    }
+  } else {
+    const { version, pages } = generateApiReference({ docsDir, library });
+    console.log(`📘 Generating the API reference from wp-block-to-html ${version} (${library})`);
+
+    for (const { file, markdown, updated } of pages) {
+      if (updated === markdown) {
+        console.log(`   docs/${file} is up to date`);
+        continue;
+      }
+      writeFileSync(join(docsDir, file), updated);
+      console.log(`   Updated docs/${file}`);
+    }
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
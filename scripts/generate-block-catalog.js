@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Block Catalog Generator
+ *
+ * Converts the samples in docs/.vitepress/block-manifest.js with every CSS
+ * framework and refreshes the block handler pages and the catalog index data
+ * (see ./block-catalog.js):
+ *
+ *   node scripts/generate-block-catalog.js [--lib <path to wp-block-to-html>] [--check]
+ *
+ * The library is looked up in --lib, $WP_BLOCK_TO_HTML_PATH, a sibling
+ * ../wp-block-to-html checkout, then node_modules; a checkout has to be
+ * built first. `--check` writes nothing and exits with an error when the
+ * catalog doesn't match the library's output.
+ */
+
+import { writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { checkBlockCatalog, generateBlockCatalog, reportBlockCatalog } from './block-catalog.js';
+import { findLibrary, libraryArg } from './library.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const docsDir = resolve(__dirname, '../docs');
+
+try {
+  const argv = process.argv.slice(2);
+  const library = findLibrary(libraryArg(argv));
+  if (!library) {
+    throw new Error('wp-block-to-html not found (use --lib <path>)');
+  }
+
+  if (argv.includes('--check')) {
+    if (reportBlockCatalog(await checkBlockCatalog({ docsDir, library }))) {
+      throw new Error('The block catalog is out of date; run `npm run generate-block-catalog`');
+    }
+  } else {
+    const { version, files, missing, failed } = await generateBlockCatalog({ docsDir, library });
+    console.log(`🧱 Generating the block catalog with wp-block-to-html ${version} (${library})`);
+
+    // Nothing is written while a sample can't be converted
+    if (missing.length || failed.length) {
+      reportBlockCatalog({ version, missing, failed, uncatalogued: [], stale: [] });
+      throw new Error('Fix the block manifest and try again');
+    }
+
+    for (const { file, contents, updated } of files) {
+      if (updated === contents) {
+        console.log(`   docs/${file} is up to date`);
+        continue;
+      }
+      writeFileSync(join(docsDir, file), updated);
+      console.log(`   Updated docs/${file}`);
+    }
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Changelog Generator
+ *
+ * Rewrites docs/changelog.md from the releases in docs/.vitepress/changelog.js
+ * and the pages' since/deprecated annotations (see ./changelog.js):
+ *
+ *   node scripts/generate-changelog.js [--check]
+ *
+ * `--check` writes nothing and exits with an error when the page is out of
+ * date or an annotation names an unknown release.
+ */
+
+import { writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { checkChangelog, generateChangelog, reportChangelog } from './changelog.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const docsDir = resolve(__dirname, '../docs');
+
+try {
+  if (process.argv.includes('--check')) {
+    if (reportChangelog(checkChangelog({ docsDir }))) {
+      throw new Error('The changelog is out of date; run `npm run generate-changelog`');
+    }
+  } else {
+    console.log('📜 Generating the changelog');
+    const { annotations, unknown, file, contents, updated } = generateChangelog({ docsDir });
+
+    // Nothing is written while an annotation points at a missing release
+    if (unknown.length) {
+      reportChangelog({ annotations, unknown, stale: [] });
+      throw new Error('Add the release to docs/.vitepress/changelog.js or fix the annotation, and try again');
+    }
+
+    if (updated === contents) {
+      console.log(`   docs/${file} is up to date`);
+    } else {
+      writeFileSync(join(docsDir, file), updated);
+      console.log(`   Updated docs/${file}`);
+    }
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
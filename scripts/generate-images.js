@@ -0,0 +1,512 @@
+/**
+ * Generate the site's images from docs/public/logo.svg:
+ *
+ *   icons     favicon.ico (16, 32 and 48px), apple-touch-icon.png and the
+ *             PWA icons in icons/, rasterized with sharp
+ *   social    og-image.png and twitter-card.png, drawn with canvas
+ *   variants  WebP and AVIF copies of the Open Graph image
+ *   cards     one Open Graph card per documentation page, drawn with canvas
+ *             into docs/.vitepress/cache/og and copied into the build output
+ *
+ * Usage:
+ *   node scripts/generate-images.js [--only <tasks>]
+ *
+ * Every run rewrites docs/.vitepress/image-manifest.json, which lists each
+ * generated file with its type, size and hash; config.js builds the icon
+ * `head` entries from it. Output is deterministic: files are only written
+ * when their content changes, so rerunning with the same logo, fonts and
+ * library versions leaves git clean.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import matter from 'gray-matter';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { imageManifestPath, pageCardFile, pageCardsDir } from '../docs/.vitepress/image-manifest.js';
+import { interpolateSiteMeta, siteMeta } from '../docs/.vitepress/site-meta.js';
+import { findAllPages } from './pages.js';
+
+// Get the directory name in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const docsDir = path.join(__dirname, '../docs');
+const publicDir = path.join(docsDir, 'public');
+const logoPath = path.join(publicDir, 'logo.svg');
+
+// Hashes of the inputs each card was last rendered from, so unchanged pages
+// can be skipped. Bump CARD_VERSION whenever the card layout changes.
+const cachePath = path.join(docsDir, '.vitepress/cache/og-images.json');
+const CARD_VERSION = 1;
+
+// Site URL and release shown in the footer of every image, e.g.
+// "docs-block.madebyaris.com · v1.0.0"
+const footer = `${siteMeta.url.replace(/^https?:\/\//, '')} · v${siteMeta.version}`;
+
+// Background behind the logo in opaque icons: iOS fills the transparent
+// corners of an apple-touch-icon with black, and platforms crop maskable PWA
+// icons to a circle or squircle
+const iconBackground = '#0EA5E9';
+
+/**
+ * Generated icons, by path under docs/public. `sizes` lists the images an
+ * .ico bundles; `opaque` icons are drawn on the background, with `padding`
+ * the share of each side left around the logo.
+ */
+const icons = [
+  { file: 'favicon.ico', sizes: [16, 32, 48], purpose: 'favicon' },
+  { file: 'apple-touch-icon.png', size: 180, purpose: 'apple-touch-icon', opaque: true },
+  { file: 'icons/icon-192.png', size: 192, purpose: 'any' },
+  { file: 'icons/icon-512.png', size: 512, purpose: 'any' },
+  { file: 'icons/icon-maskable-512.png', size: 512, purpose: 'maskable', opaque: true, padding: 0.1 }
+];
+
+// The social images, and the formats the Open Graph image is also written
+// in. The copies are offered as alternate `og:image` entries (see
+// docs/.vitepress/image-manifest.js); `twitter:image` takes a single image,
+// so the Twitter card has none.
+const socialImages = [
+  { file: 'og-image.png', width: 1200, height: 630, variants: true },
+  { file: 'twitter-card.png', width: 1200, height: 628, variants: false }
+];
+const variantFormats = {
+  webp: { quality: 85, effort: 6 },
+  avif: { quality: 60, effort: 4 }
+};
+
+const tasks = ['icons', 'social', 'variants', 'cards'];
+
+const sectionBadges = {
+  guide: 'Guide',
+  api: 'API',
+  frameworks: 'Frameworks',
+  examples: 'Examples'
+};
+
+/**
+ * Write a file unless it already has exactly this content. Returns whether
+ * it was written.
+ */
+function writeIfChanged(file, buffer) {
+  if (fs.existsSync(file) && fs.readFileSync(file).equals(buffer)) return false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buffer);
+  return true;
+}
+
+/**
+ * canvas is only needed for the images with text, so it's loaded when one
+ * of them is drawn
+ */
+async function loadCanvas() {
+  try {
+    return await import('canvas');
+  } catch (error) {
+    throw new Error(`canvas is needed to draw the social images and page cards (${error.message.split('\n')[0]}); skip them with --only icons,variants`);
+  }
+}
+
+/**
+ * Rasterize the logo to a square PNG, optionally inset on the icon background
+ */
+async function renderLogo(svg, size, { opaque = false, padding = 0 } = {}) {
+  const inner = Math.round(size * (1 - padding * 2));
+  const { width } = await sharp(svg).metadata();
+  const logo = await sharp(svg, { density: Math.ceil((72 * inner) / width) })
+    .resize(inner, inner)
+    .png()
+    .toBuffer();
+
+  if (!opaque) {
+    return sharp(logo).png({ compressionLevel: 9 }).toBuffer();
+  }
+
+  const offset = Math.round((size - inner) / 2);
+  return sharp({ create: { width: size, height: size, channels: 4, background: iconBackground } })
+    .composite([{ input: logo, left: offset, top: offset }])
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * Bundle PNG images into an .ico file. Every browser that's still supported
+ * reads PNG-compressed icon entries.
+ */
+function encodeIco(images) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = header.length + images.length * 16;
+  const entries = images.map(({ size, png }) => {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0);
+    entry.writeUInt8(size >= 256 ? 0 : size, 1);
+    entry.writeUInt8(0, 2);
+    entry.writeUInt8(0, 3);
+    entry.writeUInt16LE(1, 4);
+    entry.writeUInt16LE(32, 6);
+    entry.writeUInt32LE(png.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += png.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...images.map(image => image.png)]);
+}
+
+/**
+ * Render every icon from the logo
+ */
+async function generateIcons() {
+  const svg = fs.readFileSync(logoPath);
+  let written = 0;
+
+  for (const icon of icons) {
+    const buffer = icon.sizes
+      ? encodeIco(await Promise.all(icon.sizes.map(async size => ({ size, png: await renderLogo(svg, size) }))))
+      : await renderLogo(svg, icon.size, icon);
+    if (writeIfChanged(path.join(publicDir, icon.file), buffer)) written++;
+  }
+
+  console.log(`Created ${icons.length} icons (${icons.length - written} unchanged)`);
+}
+
+/**
+ * Write the WebP and AVIF copies of the Open Graph image
+ */
+async function generateVariants() {
+  let written = 0;
+  let total = 0;
+
+  for (const { file } of socialImages.filter(image => image.variants)) {
+    const source = path.join(publicDir, file);
+    if (!fs.existsSync(source)) {
+      throw new Error(`docs/public/${file} doesn't exist yet; generate it first (the social task)`);
+    }
+
+    for (const [format, options] of Object.entries(variantFormats)) {
+      const buffer = await sharp(source)[format](options).toBuffer();
+      if (writeIfChanged(path.join(publicDir, file.replace(/\.png$/, `.${format}`)), buffer)) written++;
+      total++;
+    }
+  }
+
+  console.log(`Created ${total} WebP and AVIF variants (${total - written} unchanged)`);
+}
+
+/**
+ * List what's been generated, for the `head` entries in config.js and
+ * anything else that needs the files' types and sizes
+ */
+async function writeManifest() {
+  const describe = async file => {
+    const contents = fs.readFileSync(path.join(publicDir, file));
+    return {
+      src: `/${file}`,
+      type: { '.svg': 'image/svg+xml', '.ico': 'image/x-icon', '.png': 'image/png', '.webp': 'image/webp', '.avif': 'image/avif' }[path.extname(file)],
+      hash: createHash('sha1').update(contents).digest('hex').slice(0, 12)
+    };
+  };
+
+  const manifest = {
+    source: await describe('logo.svg'),
+    icons: [],
+    social: {}
+  };
+
+  for (const icon of icons.filter(entry => fs.existsSync(path.join(publicDir, entry.file)))) {
+    const sizes = (icon.sizes || [icon.size]).map(size => `${size}x${size}`).join(' ');
+    manifest.icons.push({ ...(await describe(icon.file)), sizes, purpose: icon.purpose });
+  }
+
+  for (const image of socialImages) {
+    const variants = image.variants ? Object.keys(variantFormats).map(format => image.file.replace(/\.png$/, `.${format}`)) : [];
+    const files = [image.file, ...variants].filter(file => fs.existsSync(path.join(publicDir, file)));
+    manifest.social[image.file.replace(/\.png$/, '')] = await Promise.all(files.map(async file => {
+      const { width, height } = await sharp(path.join(publicDir, file)).metadata();
+      return { ...(await describe(file)), width, height };
+    }));
+  }
+
+  const written = writeIfChanged(imageManifestPath, Buffer.from(JSON.stringify(manifest, null, 2) + '\n'));
+  console.log(`${written ? 'Updated' : 'Checked'} ${path.relative(path.join(__dirname, '..'), imageManifestPath)}`);
+}
+
+/**
+ * Draw a site-wide social image: the logo, library name and tagline on
+ * white, with the site URL at the bottom
+ */
+function renderSocialImage(createCanvas, logo, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  // Set background color
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Add a color band at the top
+  ctx.fillStyle = '#3eaf7c';
+  ctx.fillRect(0, 0, canvas.width, 8);
+
+  if (logo) {
+    ctx.drawImage(logo, 100, 100, 200, 200);
+  }
+
+  // Set up text
+  ctx.fillStyle = '#333333';
+  ctx.font = 'bold 60px Arial';
+  ctx.fillText(siteMeta.name, 100, 380);
+
+  ctx.font = '30px Arial';
+  ctx.fillText('Convert WordPress blocks to framework-agnostic HTML', 100, 450);
+  ctx.fillText('or framework-specific components', 100, 500);
+
+  // Add website URL at the bottom
+  ctx.fillStyle = '#666666';
+  ctx.font = '24px Arial';
+  ctx.fillText(footer, 100, 570);
+
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Draw og-image.png and twitter-card.png, at the sizes Open Graph and
+ * Twitter's summary_large_image card display them
+ */
+async function generateOGImage() {
+  const { createCanvas, loadImage } = await loadCanvas();
+
+  let logo = null;
+  try {
+    logo = await loadImage(logoPath);
+  } catch (err) {
+    console.log('Logo not found, continuing without it');
+  }
+
+  for (const { file, width, height } of socialImages) {
+    writeIfChanged(path.join(publicDir, file), renderSocialImage(createCanvas, logo, width, height));
+    console.log(`Created ${file} (${width}x${height})`);
+  }
+}
+
+/**
+ * Read the title, description and section badge a page's card is drawn from.
+ * Falls back to the page's H1 and the site description, the same way VitePress
+ * resolves a page title when frontmatter doesn't set one.
+ */
+function readPage(relativePath) {
+  const { data, content } = matter(fs.readFileSync(path.join(docsDir, relativePath), 'utf-8'));
+  const heading = content.match(/^#\s+(.+)$/m);
+
+  return {
+    relativePath,
+    layout: data.layout,
+    title: interpolateSiteMeta(data.title || (heading ? heading[1].trim() : siteMeta.name)),
+    description: interpolateSiteMeta(data.description || siteMeta.description),
+    badge: sectionBadges[relativePath.split('/')[0]]
+  };
+}
+
+/**
+ * Split text into lines that fit within maxWidth, ending the last line with
+ * an ellipsis when the text needs more than maxLines
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    let last = lines[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+      last = last.split(' ').slice(0, -1).join(' ');
+    }
+    lines[maxLines - 1] = `${last}…`;
+  }
+
+  return lines;
+}
+
+/**
+ * Draw a rounded section badge (Guide / API / Frameworks) ending at `right`
+ */
+function drawBadge(ctx, label, right, y) {
+  ctx.font = 'bold 26px Arial';
+  const width = ctx.measureText(label).width + 48;
+  const height = 48;
+  const radius = height / 2;
+  const x = right - width;
+
+  ctx.fillStyle = '#e7f6ef';
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.fillStyle = '#2c8a60';
+  ctx.fillText(label, x + 24, y + 33);
+}
+
+/**
+ * Render the 1200x630 card for a single page
+ */
+function renderPageCard(createCanvas, page, logo) {
+  const canvas = createCanvas(1200, 630);
+  const ctx = canvas.getContext('2d');
+  const maxWidth = canvas.width - 200;
+
+  // Same base as the site-wide image: white background, green band on top
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#3eaf7c';
+  ctx.fillRect(0, 0, canvas.width, 8);
+
+  // Logo and library name in the header row, section badge on the right
+  if (logo) {
+    ctx.drawImage(logo, 100, 70, 80, 80);
+  }
+  ctx.fillStyle = '#333333';
+  ctx.font = 'bold 32px Arial';
+  ctx.fillText(siteMeta.name, logo ? 200 : 100, 122);
+
+  if (page.badge) {
+    drawBadge(ctx, page.badge, canvas.width - 100, 86);
+  }
+
+  // Page title, wrapped to at most three lines
+  ctx.fillStyle = '#333333';
+  ctx.font = 'bold 64px Arial';
+  const titleLines = wrapText(ctx, page.title, maxWidth, 3);
+  let y = 250;
+  for (const line of titleLines) {
+    ctx.fillText(line, 100, y);
+    y += 76;
+  }
+
+  // Description, with whatever room the title left
+  ctx.fillStyle = '#555555';
+  ctx.font = '30px Arial';
+  const descriptionLines = wrapText(ctx, page.description, maxWidth, 4 - titleLines.length);
+  y += 10;
+  for (const line of descriptionLines) {
+    ctx.fillText(line, 100, y);
+    y += 42;
+  }
+
+  // Website URL at the bottom
+  ctx.fillStyle = '#666666';
+  ctx.font = '24px Arial';
+  ctx.fillText(footer, 100, 570);
+
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Generate one card per documentation page, skipping pages whose title,
+ * description, badge, footer and logo are unchanged since the last run
+ */
+async function generatePageCards() {
+  const { createCanvas, loadImage } = await loadCanvas();
+  const cache = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf-8')) : {};
+  const nextCache = {};
+  const logoHash = fs.existsSync(logoPath)
+    ? createHash('sha1').update(fs.readFileSync(logoPath)).digest('hex')
+    : null;
+
+  let logo = null;
+  try {
+    logo = await loadImage(logoPath);
+  } catch (err) {
+    console.log('Logo not found, continuing without it');
+  }
+
+  let rendered = 0;
+  let skipped = 0;
+
+  for (const relativePath of findAllPages(docsDir)) {
+    const page = readPage(relativePath);
+
+    // Home layouts use the site-wide og-image.png / twitter-card.png
+    if (page.layout === 'home') continue;
+
+    const output = path.join(pageCardsDir, pageCardFile(relativePath));
+    const hash = createHash('sha1')
+      .update(JSON.stringify([CARD_VERSION, logoHash, footer, page.title, page.description, page.badge]))
+      .digest('hex');
+
+    nextCache[relativePath] = hash;
+    if (cache[relativePath] === hash && fs.existsSync(output)) {
+      skipped++;
+      continue;
+    }
+
+    writeIfChanged(output, renderPageCard(createCanvas, page, logo));
+    rendered++;
+  }
+
+  // Cards of pages that were removed or became home layouts would otherwise
+  // still be copied into the build
+  let removed = 0;
+  const current = new Set(Object.keys(nextCache).map(pageCardFile));
+  if (fs.existsSync(pageCardsDir)) {
+    for (const file of fs.readdirSync(pageCardsDir, { recursive: true })) {
+      const card = file.split(path.sep).join('/');
+      if (card.endsWith('.png') && !current.has(card)) {
+        fs.rmSync(path.join(pageCardsDir, file));
+        removed++;
+      }
+    }
+  }
+
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(nextCache, null, 2));
+  console.log(`Created ${rendered} page cards (${skipped} unchanged, ${removed} removed)`);
+}
+
+/**
+ * Parse `--only <tasks>`, comma-separated and repeatable
+ */
+function selectedTasks(argv) {
+  const only = argv.flatMap((arg, i) => (argv[i - 1] === '--only' ? arg.split(',') : [])).filter(Boolean);
+  const unknown = only.filter(task => !tasks.includes(task));
+  if (unknown.length) {
+    throw new Error(`Unknown task${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')} (available: ${tasks.join(', ')})`);
+  }
+  return only.length ? tasks.filter(task => only.includes(task)) : tasks;
+}
+
+const run = {
+  icons: generateIcons,
+  social: generateOGImage,
+  variants: generateVariants,
+  cards: generatePageCards
+};
+
+try {
+  for (const task of selectedTasks(process.argv.slice(2))) {
+    await run[task]();
+  }
+  await writeManifest();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
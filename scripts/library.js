@@ -0,0 +1,36 @@
+/**
+ * Locating wp-block-to-html
+ *
+ * Scripts that work against the library itself (running code samples,
+ * reading its type declarations) look for it, in order, in: an explicit
+ * path, $WP_BLOCK_TO_HTML_PATH, a sibling ../wp-block-to-html checkout, then
+ * the copy installed in node_modules.
+ */
+
+import { existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * The path of a wp-block-to-html checkout or install, or null if none is found
+ */
+export function findLibrary(explicitPath) {
+  const candidates = [
+    explicitPath,
+    process.env.WP_BLOCK_TO_HTML_PATH,
+    resolve(__dirname, '../../wp-block-to-html'),
+    resolve(__dirname, '../node_modules/wp-block-to-html')
+  ].filter(Boolean);
+
+  return candidates.map(candidate => resolve(candidate)).find(candidate => existsSync(join(candidate, 'package.json'))) || null;
+}
+
+/**
+ * The value following a `--lib` flag, if any
+ */
+export function libraryArg(argv) {
+  const flag = argv.indexOf('--lib');
+  return flag !== -1 ? argv[flag + 1] : null;
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Page Linter
+ *
+ * Checks the frontmatter, headings and code fences of the docs pages (see
+ * ./page-lint.js), the same checks as the lint step of scripts/build.js:
+ *
+ *   node scripts/lint-pages.js [--fix] [--report <file>]
+ *
+ * `--fix` rewrites the fixable problems in place before reporting what's
+ * left. `--report` writes the problems as JSON; it defaults to the lint
+ * report path in docs.build.config.js.
+ */
+
+import { dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { lintPages, reportLint } from './page-lint.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = resolve(__dirname, '..');
+
+try {
+  const argv = process.argv.slice(2);
+  const fix = argv.includes('--fix');
+  const reportIndex = argv.indexOf('--report');
+
+  const { default: config } = await import(pathToFileURL(resolve(rootDir, 'docs.build.config.js')).href);
+  const report = reportIndex === -1 ? config.lint?.report : argv[reportIndex + 1];
+
+  console.log(`🔎 Linting pages${fix ? ' and fixing what can be fixed' : ''}`);
+  const result = lintPages({
+    docsDir: resolve(rootDir, config.docsDir || 'docs'),
+    description: { min: 50, max: 160, ...config.lint?.description },
+    fix
+  });
+
+  const errors = reportLint(result, report && resolve(rootDir, report));
+  if (errors > 0) {
+    throw new Error(`${errors} lint error${errors === 1 ? '' : 's'} found`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
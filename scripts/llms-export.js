@@ -0,0 +1,379 @@
+/**
+ * Machine-Readable Docs
+ *
+ * Exports the built documentation for coding assistants and other tools:
+ *
+ *   llms.txt            index of the latest English pages, grouped like the
+ *                       sidebar (https://llmstxt.org)
+ *   llms-full.txt       the same pages as one markdown file, in sidebar order
+ *   <page>.md           a markdown copy next to each built HTML page, e.g.
+ *                       guide/installation.md next to guide/installation.html
+ *   docs-manifest.json  every page with its headings and code blocks
+ *
+ * Pages kept out of the sitemap or search (`noindex: true`, `sitemap: false`
+ * or `search: false` in their frontmatter) are left out of all of them.
+ *
+ * The markdown is cleaned for reading outside the site: frontmatter, Vue
+ * components, `<script>`/`<style>` blocks and HTML comments are dropped,
+ * custom containers become plain labels, links are made absolute and
+ * `%version%` style placeholders are filled in. Headings in the manifest are
+ * read from the built HTML so their ids match the site's anchors.
+ *
+ * Runs as the llms step of scripts/build.js, after `vitepress build`, and
+ * adds the exports to the built sitemap.xml and robots.txt.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import matter from 'gray-matter';
+import { localeOf, defaultLocale } from '../docs/.vitepress/locales.js';
+import { sectionDirs, sidebarLinks } from '../docs/.vitepress/nav.js';
+import { releaseMarker } from '../docs/.vitepress/release-markers.js';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+import { interpolateSiteMeta, siteMeta } from '../docs/.vitepress/site-meta.js';
+import { latestVersion, versionOf } from '../docs/.vitepress/versions.js';
+import { findAllPages } from './pages.js';
+
+export const LLMS_INDEX = 'llms.txt';
+export const LLMS_FULL = 'llms-full.txt';
+export const MANIFEST = 'docs-manifest.json';
+
+// Code fence flags read by scripts/test-snippets.js, meaningless elsewhere
+const SNIPPET_FLAGS = new Set(['test', 'skip', 'expect-output']);
+
+/**
+ * The built HTML file of a page, e.g. `guide/index.md` -> `guide/index.html`
+ */
+function htmlFileOf(relativePath) {
+  return relativePath.replace(/\.md$/, '.html');
+}
+
+/**
+ * The absolute URL of a page's markdown copy
+ */
+function markdownUrl(relativePath) {
+  return `${siteMeta.url}/${relativePath}`;
+}
+
+/**
+ * Split a fence's info string, e.g. "javascript expect-output" or
+ * "html [Tailwind]", into its language and tab title
+ */
+function parseFenceInfo(info) {
+  const title = info.match(/\[([^\]]+)\]/)?.[1] || null;
+  const lang = info.replace(/\[[^\]]*\]/, '').trim().split(/\s+/)[0].replace(/[{:].*$/, '');
+  const flags = info.replace(/\[[^\]]*\]/, '').trim().split(/\s+/).slice(1);
+
+  return { lang, title, flags: flags.filter(flag => !SNIPPET_FLAGS.has(flag)) };
+}
+
+/**
+ * Make a link target absolute, resolved against the page it appears on.
+ * Links to other pages lose their `.md`/`.html` extension, as on the site.
+ */
+function absoluteLink(target, relativePath) {
+  if (/^([a-z]+:|#)/i.test(target)) return target;
+
+  const url = new URL(target, siteMeta.url + pageUrl(relativePath));
+  url.pathname = url.pathname.replace(/\.(md|html)$/, '');
+  return url.href;
+}
+
+/**
+ * Prose line cleanup: inline components, release markers, heading ids,
+ * placeholders and links
+ */
+function cleanLine(line, relativePath) {
+  return interpolateSiteMeta(line)
+    .replace(/<([A-Z][\w-]*)\b[^>]*\/>/g, '')
+    .replace(releaseMarker, '($1 $2)')
+    .replace(/^(#{1,6} .*?)\s*\{#[\w-]+\}\s*$/, '$1')
+    .replace(/(!?\[[^\]]*\]\()\s*<?([^)\s>]+)>?/g, (match, open, target) => open + absoluteLink(target, relativePath));
+}
+
+/**
+ * A page as markdown for reading outside the site, with its title, first
+ * sentence and code blocks
+ */
+export function cleanPage(source, relativePath) {
+  const { data, content } = matter(source);
+  const out = [];
+  const codeBlocks = [];
+
+  let fence = null;
+  let skipUntil = null;
+
+  for (const line of content.split('\n')) {
+    if (fence) {
+      out.push(line);
+      if (line.trim().startsWith(fence.marker) && line.trim().replace(/[`~]/g, '') === '') {
+        codeBlocks.push({ lang: fence.lang, title: fence.title, code: fence.lines.join('\n') });
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      continue;
+    }
+
+    if (skipUntil) {
+      if (skipUntil.test(line)) skipUntil = null;
+      continue;
+    }
+
+    const fenceOpen = line.match(/^(\s*)(`{3,}|~{3,})(.*)$/);
+    if (fenceOpen) {
+      const { lang, title, flags } = parseFenceInfo(fenceOpen[3]);
+      fence = { marker: fenceOpen[2], lang, title, lines: [] };
+      out.push(`${fenceOpen[1]}${fenceOpen[2]}${[lang, ...flags].join(' ')}${title ? ` [${title}]` : ''}`);
+      continue;
+    }
+
+    // Blocks that only mean something to Vue. A component ends at its
+    // closing tag, or at the `/>` of a self-closing tag spread over lines.
+    const tag = line.match(/^\s*<(script|style|[A-Z][\w-]*)\b/);
+    if (tag) {
+      const end = /^[a-z]/.test(tag[1])
+        ? new RegExp(`</${tag[1]}>`)
+        : new RegExp(`</${tag[1]}>|^[^<]*/>\\s*$`);
+      if (!end.test(line) && !/\/>\s*$/.test(line)) skipUntil = end;
+      continue;
+    }
+
+    if (line.includes('<!--')) {
+      const rest = line.replace(/<!--[\s\S]*?-->/g, '');
+      if (rest.includes('<!--')) {
+        skipUntil = /-->/;
+        const before = rest.slice(0, rest.indexOf('<!--'));
+        if (before.trim()) out.push(cleanLine(before, relativePath));
+      } else if (rest.trim()) {
+        out.push(cleanLine(rest, relativePath));
+      }
+      continue;
+    }
+
+    // Custom containers: `::: code-group` and `::: framework-tabs` just group
+    // their contents, the others (`::: tip Title`, `:::warning ...`) keep
+    // their title as a label
+    const container = line.match(/^\s*:::\s*([\w-]*)\s*(.*)$/);
+    if (container) {
+      const [, type, title] = container;
+      if (type && type !== 'code-group' && type !== 'framework-tabs') {
+        const label = title || type.charAt(0).toUpperCase() + type.slice(1);
+        out.push(`**${interpolateSiteMeta(label)}**`, '');
+      }
+      continue;
+    }
+
+    if (line.trim() === '[[toc]]') continue;
+
+    // A framework tab's `== Label` line
+    const tab = line.match(/^\s*==\s+(.+?)\s*$/);
+    if (tab) {
+      out.push(`**${tab[1]}**`, '');
+      continue;
+    }
+
+    out.push(cleanLine(line, relativePath));
+  }
+
+  const markdown = out.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+  const heading = markdown.match(/^# (.+)$/m)?.[1];
+  const title = interpolateSiteMeta(data.title || (heading ? heading.replace(/`/g, '') : '') || data.hero?.name || '');
+
+  return { title, description: describe(data, markdown), markdown, codeBlocks, listed: isListed(data) };
+}
+
+/**
+ * Whether a page belongs in the exports. Pages kept out of the sitemap
+ * (`sitemap: false` or `noindex: true`) or out of search (`search: false`)
+ * are left out here too.
+ */
+function isListed(data) {
+  return data.sitemap !== false && data.noindex !== true && data.search !== false;
+}
+
+/**
+ * A page's description: its frontmatter `description`, or the first sentence
+ * of its first paragraph
+ */
+function describe(data, markdown) {
+  if (data.description) return interpolateSiteMeta(data.description);
+
+  const paragraph = markdown
+    .split(/\n{2,}/)
+    .map(part => part.trim())
+    .find(part => part && !/^([#>|*\-`]|\d+\.|!\[|<)/.test(part));
+  if (!paragraph) return '';
+
+  const text = paragraph
+    .replace(/\s+/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2');
+  return text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+}
+
+/**
+ * The markdown headings of a built page, as `{ level, text, id }`
+ */
+function headingsOf(html) {
+  const headings = [];
+  const pattern = /<h([1-6]) id="([^"]+)"[^>]*>([\s\S]*?)<\/h\1>/g;
+
+  for (const [, level, id, inner] of html.matchAll(pattern)) {
+    // Only headings from the markdown carry an anchor link
+    if (!inner.includes('class="header-anchor"')) continue;
+
+    const text = inner
+      .replace(/<a class="header-anchor"[\s\S]*?<\/a>/, '')
+      .replace(/<a class="release-badge[\s\S]*?<\/a>/g, '')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+      .trim();
+    headings.push({ level: Number(level), text, id });
+  }
+
+  return headings;
+}
+
+/**
+ * The latest English pages in sidebar order, as `{ section, group, relativePath }`
+ */
+function sidebarPages(pages) {
+  const byUrl = new Map(pages.map(page => [pageUrl(page.relativePath), page]));
+  const ordered = [];
+
+  for (const section of sectionDirs) {
+    for (const { link, group } of sidebarLinks(section)) {
+      if (byUrl.has(link)) ordered.push({ section, group, page: byUrl.get(link) });
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * llms.txt: a link to each page's markdown copy, under its section and
+ * sidebar group
+ */
+function renderIndex(ordered) {
+  const lines = [
+    `# ${siteMeta.name}`,
+    '',
+    `> ${siteMeta.description}`,
+    '',
+    `Documentation for the \`${siteMeta.packageName}\` package, version ${siteMeta.version}. Every page below links to a markdown copy; [llms-full.txt](${siteMeta.url}/${LLMS_FULL}) has all of them in one file, and [${MANIFEST}](${siteMeta.url}/${MANIFEST}) lists every page with its headings and code blocks.`
+  ];
+
+  let section = null;
+  let group;
+  for (const entry of ordered) {
+    if (entry.section !== section) {
+      section = entry.section;
+      group = undefined;
+      lines.push('', `## ${defaultLocale.nav[section] || section}`);
+    }
+    if (entry.group !== group) {
+      group = entry.group;
+      if (group) lines.push('', `### ${group}`);
+      lines.push('');
+    }
+
+    const { title, description, relativePath } = entry.page;
+    lines.push(`- [${title}](${markdownUrl(relativePath)})${description ? `: ${description}` : ''}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * llms-full.txt: every page's markdown, each headed by its URL
+ */
+function renderFull(ordered) {
+  const header = `# ${siteMeta.name} documentation\n\n> ${siteMeta.description}\n`;
+  const pages = ordered.map(({ page }) => `Source: ${siteMeta.url}${pageUrl(page.relativePath)}\n\n${page.markdown}`);
+  return [header, ...pages].join('\n---\n\n');
+}
+
+/**
+ * docs-manifest.json: every listed page, in every language and version
+ */
+function renderManifest(pages) {
+  return JSON.stringify({
+    name: siteMeta.name,
+    package: siteMeta.packageName,
+    version: siteMeta.version,
+    url: siteMeta.url,
+    pages: pages.map(page => ({
+      url: siteMeta.url + pageUrl(page.relativePath),
+      markdown: markdownUrl(page.relativePath),
+      title: page.title,
+      description: page.description,
+      lang: localeOf(page.relativePath).lang,
+      version: versionOf(page.relativePath).name,
+      headings: page.headings,
+      codeBlocks: page.codeBlocks
+    }))
+  }, null, 2) + '\n';
+}
+
+/**
+ * Add the exports to the built sitemap and robots.txt, once
+ */
+function referenceExports(outDir) {
+  const urls = [LLMS_INDEX, LLMS_FULL, MANIFEST].map(file => `${siteMeta.url}/${file}`);
+
+  const sitemapFile = join(outDir, 'sitemap.xml');
+  if (existsSync(sitemapFile)) {
+    const xml = readFileSync(sitemapFile, 'utf-8');
+    const missing = urls.filter(url => !xml.includes(`<loc>${url}</loc>`));
+    if (missing.length) {
+      const entries = missing.map(url => `<url><loc>${url}</loc><changefreq>weekly</changefreq><priority>0.5</priority></url>`).join('');
+      writeFileSync(sitemapFile, xml.replace('</urlset>', `${entries}</urlset>`));
+    }
+  }
+
+  const robotsFile = join(outDir, 'robots.txt');
+  const robots = existsSync(robotsFile) ? readFileSync(robotsFile, 'utf-8') : '';
+  if (!robots.includes(LLMS_INDEX)) {
+    const lines = [
+      '# Documentation for language models and other tools (https://llmstxt.org)',
+      `# Index: ${urls[0]}`,
+      `# Full text: ${urls[1]}`,
+      `# Pages, headings and code blocks: ${urls[2]}`
+    ];
+    writeFileSync(robotsFile, `${robots.replace(/\s*$/, '')}\n\n${lines.join('\n')}\n`);
+  }
+}
+
+/**
+ * Write the exports into the built site. Returns what was written, as
+ * `{ indexed, copies, files }`.
+ */
+export function exportMachineReadableDocs({ docsDir, outDir }) {
+  const pages = findAllPages(docsDir)
+    .filter(relativePath => existsSync(join(outDir, htmlFileOf(relativePath))))
+    .map(relativePath => {
+      const page = cleanPage(readFileSync(join(docsDir, relativePath), 'utf-8'), relativePath);
+      const html = readFileSync(join(outDir, htmlFileOf(relativePath)), 'utf-8');
+      return { relativePath, ...page, headings: headingsOf(html) };
+    })
+    .filter(page => page.listed);
+
+  for (const page of pages) {
+    const file = join(outDir, page.relativePath);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, page.markdown);
+  }
+
+  // llms.txt and llms-full.txt cover the latest English docs only;
+  // translations and other versions are in the manifest
+  const latest = pages.filter(page => localeOf(page.relativePath) === defaultLocale && versionOf(page.relativePath) === latestVersion);
+  const ordered = sidebarPages(latest);
+
+  writeFileSync(join(outDir, LLMS_INDEX), renderIndex(ordered));
+  writeFileSync(join(outDir, LLMS_FULL), renderFull(ordered));
+  writeFileSync(join(outDir, MANIFEST), renderManifest(pages));
+  referenceExports(outDir);
+
+  return { indexed: ordered.length, copies: pages.length, files: [LLMS_INDEX, LLMS_FULL, MANIFEST] };
+}
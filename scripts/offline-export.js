@@ -0,0 +1,359 @@
+/**
+ * Offline Export
+ *
+ * Turns the built site into one self-contained HTML file, and a PDF of it,
+ * for reading without a connection:
+ *
+ * - the configured sections' pages are concatenated in sidebar order, each
+ *   starting on a new printed page, after a generated table of contents
+ * - anchors are prefixed with their page (`#guide-installation--npm`) and
+ *   links between included pages point at them; other links go to the
+ *   published site
+ * - images are inlined as data URIs from docs/public or the build output
+ * - scripts, copy buttons and interactive widgets are dropped, code group
+ *   tabs become titles above each code block, and the stylesheet is written
+ *   for screen and print
+ *
+ * The PDF is printed from the HTML file by a locally installed Chrome,
+ * Chromium or Edge running headless. Runs as the offline step of
+ * scripts/build.js, which has to follow the vitepress step.
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { delimiter, dirname, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { sidebarLinks } from '../docs/.vitepress/nav.js';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+import { siteMeta } from '../docs/.vitepress/site-meta.js';
+
+const IMAGE_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon'
+};
+
+// Browser executables looked for on the PATH, then at their usual install
+// locations, when neither offline.browser nor $CHROME_PATH is set
+const BROWSER_COMMANDS = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'microsoft-edge', 'msedge'];
+const BROWSER_PATHS = [
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+  'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+  'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe'
+];
+
+/**
+ * The page a built HTML file came from, e.g. `guide/index.md` -> `guide/index.html`
+ */
+function htmlFileOf(relativePath) {
+  return relativePath.replace(/\.md$/, '.html');
+}
+
+/**
+ * The anchor of a page within the export, e.g. `guide/index.md` -> `guide`,
+ * `api/typescript/types.md` -> `api-typescript-types`
+ */
+function pageAnchor(relativePath) {
+  return relativePath.replace(/(\/index)?\.md$/, '').replace(/\//g, '-');
+}
+
+/**
+ * The index just past the `</div>` closing the `<div` that starts at `start`
+ */
+function elementEnd(html, start) {
+  const tags = /<(\/?)div\b[^>]*>/g;
+  tags.lastIndex = start;
+  let depth = 0;
+
+  for (let match = tags.exec(html); match; match = tags.exec(html)) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return tags.lastIndex;
+  }
+  throw new Error('Unbalanced <div> in built page');
+}
+
+/**
+ * Remove every `<div>` whose class list includes className
+ */
+function removeDivs(html, className) {
+  const pattern = new RegExp(`<div[^>]*class="(?:[^"]* )?${className}(?: [^"]*)?"`);
+  for (let match = pattern.exec(html); match; match = pattern.exec(html)) {
+    html = html.slice(0, match.index) + html.slice(elementEnd(html, match.index));
+  }
+  return html;
+}
+
+/**
+ * The rendered markdown of a built page
+ */
+function pageContent(html, file) {
+  const marker = html.indexOf('class="vp-doc');
+  if (marker === -1) throw new Error(`${file} has no page content`);
+
+  const start = html.lastIndexOf('<div', marker);
+  const end = elementEnd(html, start);
+  return html.slice(html.indexOf('>', start) + 1, end - '</div>'.length);
+}
+
+/**
+ * Code groups show every block, each under its tab's title
+ */
+function flattenCodeGroups(html) {
+  const pattern = /<div class="vp-code-group[^"]*">/;
+  for (let match = pattern.exec(html); match; match = pattern.exec(html)) {
+    const end = elementEnd(html, match.index);
+    const group = html.slice(match.index, end);
+    const titles = [...group.matchAll(/<label data-title="([^"]*)"/g)].map(title => title[1]);
+
+    let index = 0;
+    const blocks = group
+      .replace(/<div class="tabs">[\s\S]*?<\/div>/, '')
+      .replace(/<div class="language-/g, block => `<p class="code-title">${titles[index++] ?? ''}</p>${block}`)
+      .replace('<div class="vp-code-group', '<div class="code-group');
+    html = html.slice(0, match.index) + blocks + html.slice(end);
+  }
+  return html;
+}
+
+/**
+ * Find an image referenced by the built site
+ */
+function imageFile(src, { publicDir, outDir }) {
+  const path = decodeURIComponent(src.replace(/[?#].*$/, '')).replace(/^\//, '');
+  return [join(publicDir, path), join(outDir, path)].find(file => existsSync(file)) || null;
+}
+
+/**
+ * Point links at the export's own anchors when they lead to an included
+ * page, and at the published site otherwise
+ */
+function rewriteLink(href, relativePath, anchors) {
+  if (/^(mailto|tel|data|javascript):/i.test(href)) return href;
+  if (href.startsWith('#')) return `#${pageAnchor(relativePath)}--${href.slice(1)}`;
+
+  const url = new URL(href, siteMeta.url + pageUrl(relativePath));
+  if (url.origin !== new URL(siteMeta.url).origin) return href;
+
+  const path = url.pathname.replace(/\.html$/, '').replace(/\/index$/, '/');
+  const anchor = anchors.get(path);
+  if (!anchor) return url.href;
+  return url.hash ? `#${anchor}--${url.hash.slice(1)}` : `#${anchor}`;
+}
+
+/**
+ * One page's content, made self-contained
+ */
+function exportPage(html, relativePath, { anchors, publicDir, outDir, missingImages }) {
+  const prefix = pageAnchor(relativePath);
+  let content = pageContent(html, htmlFileOf(relativePath));
+
+  content = removeDivs(content, 'block-preview');
+  content = flattenCodeGroups(content);
+
+  return content
+    .replace(/<(script|style|select|textarea|button|iframe)\b[\s\S]*?<\/\1>/g, '')
+    .replace(/<input\b[^>]*>/g, '')
+    .replace(/<a class="header-anchor"[\s\S]*?<\/a>/g, '')
+    .replace(/\s(data-v-[\w-]+|tabindex="-?\d+")/g, '')
+    .replace(/\sid="([^"]+)"/g, (match, id) => ` id="${prefix}--${id}"`)
+    .replace(/\shref="([^"]+)"/g, (match, href) => ` href="${rewriteLink(href.replace(/&amp;/g, '&'), relativePath, anchors).replace(/&/g, '&amp;')}"`)
+    .replace(/<img\b([^>]*?)\ssrc="([^"]+)"/g, (match, attrs, src) => {
+      if (/^(data:|https?:)/.test(src)) return match;
+
+      const file = imageFile(src, { publicDir, outDir });
+      const type = IMAGE_TYPES[extname(src.replace(/[?#].*$/, '')).toLowerCase()];
+      if (!file || !type) {
+        missingImages.push({ page: relativePath, src });
+        return match;
+      }
+      return `<img${attrs} src="data:${type};base64,${readFileSync(file).toString('base64')}"`;
+    });
+}
+
+/**
+ * The table of contents: every page, with its second-level headings
+ */
+function renderToc(pages) {
+  const items = [];
+  let section = null;
+  let group;
+
+  for (const page of pages) {
+    if (page.section !== section || page.group !== group) {
+      if (items.length) items.push('</ol></li>');
+      section = page.section;
+      group = page.group;
+      items.push(`<li class="toc-group"><span>${escapeHtml(group || page.sectionTitle)}</span><ol>`);
+    }
+
+    const headings = [...page.content.matchAll(/<h2 id="([^"]+)">([\s\S]*?)<\/h2>/g)]
+      .map(([, id, text]) => `<li><a href="#${id}">${text.trim()}</a></li>`);
+    items.push(`<li><a href="#${page.anchor}">${escapeHtml(page.text)}</a>${headings.length ? `<ol>${headings.join('')}</ol>` : ''}</li>`);
+  }
+  if (items.length) items.push('</ol></li>');
+
+  return `<nav class="toc" id="contents"><h1>Contents</h1><ol>${items.join('')}</ol></nav>`;
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const STYLES = `
+:root { color-scheme: light; --text: #1f2328; --muted: #59636e; --border: #d1d9e0; --soft: #f6f8fa; --brand: #3451b2; }
+* { box-sizing: border-box; }
+body { max-width: 860px; margin: 0 auto; padding: 32px 24px; color: var(--text); font: 15px/1.65 system-ui, -apple-system, "Segoe UI", sans-serif; }
+a { color: var(--brand); }
+h1, h2, h3, h4 { line-height: 1.3; }
+h1 { font-size: 28px; margin: 0 0 16px; }
+h2 { font-size: 22px; margin: 40px 0 12px; padding-top: 16px; border-top: 1px solid var(--border); }
+h3 { font-size: 18px; margin: 28px 0 8px; }
+img { max-width: 100%; height: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.875em; }
+:not(pre) > code { padding: 2px 5px; border-radius: 4px; background: var(--soft); }
+div[class*="language-"] { position: relative; margin: 16px 0; border-radius: 6px; background: var(--soft); }
+div[class*="language-"] .lang { position: absolute; top: 4px; right: 10px; color: var(--muted); font-size: 12px; }
+pre { margin: 0; padding: 16px; overflow-x: auto; line-height: 1.5; white-space: pre-wrap; word-break: break-word; }
+.shiki span { color: var(--shiki-light); }
+.code-title { margin: 16px 0 -12px; color: var(--muted); font-size: 13px; font-weight: 600; }
+table { display: block; overflow-x: auto; border-collapse: collapse; margin: 16px 0; }
+th, td { padding: 6px 12px; border: 1px solid var(--border); text-align: left; vertical-align: top; }
+th { background: var(--soft); }
+blockquote { margin: 16px 0; padding: 0 16px; border-left: 4px solid var(--border); color: var(--muted); }
+.custom-block { margin: 16px 0; padding: 12px 16px; border-left: 4px solid var(--border); border-radius: 6px; background: var(--soft); }
+.custom-block.tip { border-color: #0969da; }
+.custom-block.info { border-color: #59636e; }
+.custom-block.warning { border-color: #9a6700; }
+.custom-block.danger { border-color: #cf222e; }
+.custom-block-title { margin-top: 0; font-weight: 600; }
+.cover { margin-bottom: 48px; }
+.cover p { color: var(--muted); }
+.toc ol { padding-left: 20px; }
+.toc > ol { padding-left: 0; list-style: none; }
+.toc-group > span { display: block; margin-top: 16px; font-weight: 600; }
+.toc ol ol ol { font-size: 14px; }
+.page { padding-top: 32px; }
+@page { size: A4; margin: 18mm 16mm; }
+@media print {
+  body { max-width: none; padding: 0; font-size: 10.5pt; }
+  a { color: inherit; }
+  .page, .toc { break-before: page; }
+  h1, h2, h3, h4 { break-after: avoid; }
+  div[class*="language-"], .custom-block, tr, img { break-inside: avoid; }
+  .page a[href^="http"]::after { content: " (" attr(href) ")"; color: var(--muted); font-size: 0.85em; word-break: break-all; }
+}
+`;
+
+/**
+ * Write the single-file HTML export. Returns `{ file, pages, missingImages }`.
+ */
+export function exportOfflineHtml({ outDir, publicDir, sections, file }) {
+  const entries = sections.flatMap(section => sidebarLinks(section).map(entry => ({ ...entry, section })));
+  const anchors = new Map();
+  const pages = [];
+
+  for (const entry of entries) {
+    const relativePath = entry.link.endsWith('/') ? `${entry.link.slice(1)}index.md` : `${entry.link.slice(1)}.md`;
+    const built = join(outDir, htmlFileOf(relativePath));
+    if (!existsSync(built)) {
+      throw new Error(`${built} does not exist; run the vitepress step first`);
+    }
+    anchors.set(entry.link, pageAnchor(relativePath));
+    pages.push({ ...entry, relativePath, built, anchor: pageAnchor(relativePath) });
+  }
+
+  const missingImages = [];
+  for (const page of pages) {
+    page.sectionTitle = page.section.charAt(0).toUpperCase() + page.section.slice(1);
+    page.content = exportPage(readFileSync(page.built, 'utf-8'), page.relativePath, { anchors, publicDir, outDir, missingImages });
+  }
+
+  const logo = imageFile('/logo.svg', { publicDir, outDir });
+  const title = `${siteMeta.name} documentation`;
+  const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="cover">
+${logo ? `<img src="data:image/svg+xml;base64,${readFileSync(logo).toString('base64')}" alt="" width="64" height="64">` : ''}
+<h1>${escapeHtml(title)}</h1>
+<p>Version ${escapeHtml(siteMeta.version)}. Exported from <a href="${siteMeta.url}">${siteMeta.url}</a>.</p>
+</header>
+${renderToc(pages)}
+${pages.map(page => `<article class="page" id="${page.anchor}">\n${page.content}\n</article>`).join('\n')}
+</body>
+</html>
+`;
+
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, html);
+
+  return { file, pages: pages.length, missingImages };
+}
+
+/**
+ * The first headless-capable browser found: the configured path,
+ * $CHROME_PATH, a known command on the PATH, then the usual install locations
+ */
+export function findBrowser(configured) {
+  if (configured) return existsSync(configured) ? configured : null;
+  if (process.env.CHROME_PATH) return existsSync(process.env.CHROME_PATH) ? process.env.CHROME_PATH : null;
+
+  const dirs = (process.env.PATH || '').split(delimiter).filter(Boolean);
+  for (const command of BROWSER_COMMANDS) {
+    for (const dir of dirs) {
+      const candidate = join(dir, process.platform === 'win32' ? `${command}.exe` : command);
+      if (existsSync(candidate)) return candidate;
+    }
+  }
+
+  return BROWSER_PATHS.find(path => existsSync(path)) || null;
+}
+
+/**
+ * Print the HTML export to PDF with a headless browser
+ */
+export function exportOfflinePdf({ html, pdf, browser, timeout = 120000 }) {
+  const executable = findBrowser(browser);
+  if (!executable) {
+    throw new Error(
+      'No headless browser found to print the PDF. Install Chrome, Chromium or Edge, ' +
+      'or point offline.browser in docs.build.config.js (or $CHROME_PATH) at one. ' +
+      `The HTML export was written to ${html}.`
+    );
+  }
+
+  rmSync(pdf, { force: true });
+  const result = spawnSync(executable, [
+    '--headless',
+    '--disable-gpu',
+    '--no-pdf-header-footer',
+    `--print-to-pdf=${resolve(pdf)}`,
+    pathToFileURL(resolve(html)).href
+  ], { encoding: 'utf-8', timeout });
+
+  if (result.error) {
+    throw new Error(`${executable} could not print the PDF: ${result.error.message}`);
+  }
+  if (result.status !== 0 || !existsSync(pdf)) {
+    throw new Error(`${executable} exited with code ${result.status} without writing ${pdf}:\n${result.stderr.trim()}`);
+  }
+
+  return { pdf, browser: executable };
+}
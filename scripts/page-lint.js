@@ -0,0 +1,336 @@
+/**
+ * Page Lint
+ *
+ * Checks the pages of every sidebar section (guide, api, frameworks,
+ * examples) for:
+ *
+ *   frontmatter     fields match `frontmatterSchema`: a description of the
+ *                   configured length, the sidebar `group` (the page's
+ *                   section within the sidebar) and `order`, and well-formed
+ *                   `since`/`deprecated` markers
+ *   single-h1       exactly one `#` heading
+ *   heading-order   headings go down one level at a time (no `##` to `####`)
+ *   fence-language  every code fence names its language
+ *   duplicate-slug  no two headings on a page get the same anchor
+ *
+ * Problems are errors or warnings; errors fail the lint step of
+ * scripts/build.js. Fixable problems (a fence without a language, an
+ * `order` written as a string) are rewritten in place by
+ * `node scripts/lint-pages.js --fix`.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import matter from 'gray-matter';
+import { releaseMarker } from '../docs/.vitepress/release-markers.js';
+import { interpolateSiteMeta } from '../docs/.vitepress/site-meta.js';
+import { findPages } from './pages.js';
+
+// A release, e.g. `1.2` or `1.2.0`. YAML reads an unquoted `1.2` as a
+// number, so these have to be quoted.
+const VERSION = /^\d+\.\d+(\.\d+)?$/;
+
+/**
+ * Frontmatter fields pages may use, and what they must look like. `check`
+ * returns a problem message, or nothing when the value is fine.
+ */
+export const frontmatterSchema = {
+  title: { type: 'string' },
+  description: { type: 'string', required: true },
+  group: { type: 'string', required: true },
+  order: { type: 'number', required: true },
+  label: { type: 'string' },
+  collapsed: { type: 'boolean' },
+  sidebar: { type: 'boolean' },
+  since: {
+    type: 'string',
+    check: value => (VERSION.test(value) ? null : `since should be a release like '1.2.0', not '${value}'`)
+  },
+  deprecated: {
+    type: ['boolean', 'string'],
+    check: value => {
+      if (value === false) return 'deprecated: false is the default; remove it';
+      if (typeof value === 'string' && !VERSION.test(value)) return `deprecated should be true or a release like '1.2.0', not '${value}'`;
+      return null;
+    }
+  },
+  canonical: { type: 'string' },
+  noindex: { type: 'boolean' },
+  ogType: { type: 'string' },
+  sitemap: { type: ['object', 'boolean'] },
+  search: { type: 'boolean' },
+  howTo: { type: 'object' },
+  layout: { type: 'string' },
+  outline: { type: ['number', 'string', 'object', 'boolean'] },
+  prev: { type: ['string', 'object', 'boolean'] },
+  next: { type: ['string', 'object', 'boolean'] },
+  aside: { type: ['boolean', 'string'] },
+  editLink: { type: 'boolean' },
+  lastUpdated: { type: 'boolean' },
+  head: { type: 'object' }
+};
+
+/**
+ * The anchor VitePress generates for a heading (the default slugify of
+ * vitepress/dist/node)
+ */
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[\u0000-\u001f]/g, '')
+    .replace(/[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'“”‘’<>,.?/]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .replace(/^(\d)/, '_$1')
+    .toLowerCase();
+}
+
+/**
+ * The text a heading renders as, for its anchor. `[since: x.y.z]` markers
+ * render as badges, which aren't part of it.
+ */
+export function headingText(markdown) {
+  return interpolateSiteMeta(markdown)
+    .replace(releaseMarker, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .trim();
+}
+
+/**
+ * The lines between a page's `---` markers
+ */
+function frontmatterOf(source) {
+  const lines = source.split('\n');
+  if (lines[0].trim() !== '---') return [];
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  return end === -1 ? [] : lines.slice(1, end);
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Frontmatter problems. Lines are those of the frontmatter block, which
+ * starts on line 1.
+ */
+function lintFrontmatter(data, frontmatterLines, { description }) {
+  const problems = [];
+  const lineOf = key => {
+    const index = frontmatterLines.findIndex(line => line.startsWith(`${key}:`));
+    return index === -1 ? 1 : index + 2;
+  };
+
+  for (const [key, rule] of Object.entries(frontmatterSchema)) {
+    const value = data[key];
+    if (value === undefined) {
+      if (rule.required) problems.push({ rule: 'frontmatter', severity: 'error', line: 1, message: `Missing \`${key}\`` });
+      continue;
+    }
+
+    const types = [rule.type].flat();
+    if (!types.includes(typeOf(value))) {
+      const fixable = key === 'order' && typeof value === 'string' && /^\d+$/.test(value.trim());
+      problems.push({
+        rule: 'frontmatter',
+        severity: 'error',
+        line: lineOf(key),
+        message: `\`${key}\` should be ${types.join(' or ')}, not ${typeOf(value)}${key === 'since' && typeof value === 'number' ? ' (quote the version)' : ''}`,
+        ...(fixable && { fix: { type: 'order', value: Number(value) } })
+      });
+      continue;
+    }
+
+    const message = rule.check?.(value);
+    if (message) problems.push({ rule: 'frontmatter', severity: 'error', line: lineOf(key), message });
+  }
+
+  if (typeof data.description === 'string') {
+    const { length } = data.description.trim();
+    if (length < description.min || length > description.max) {
+      problems.push({
+        rule: 'frontmatter',
+        severity: 'error',
+        line: lineOf('description'),
+        message: `\`description\` is ${length} characters; keep it between ${description.min} and ${description.max}`
+      });
+    }
+  }
+
+  for (const key of Object.keys(data).filter(key => !frontmatterSchema[key])) {
+    problems.push({ rule: 'frontmatter', severity: 'warning', line: lineOf(key), message: `Unknown frontmatter field \`${key}\`` });
+  }
+
+  return problems;
+}
+
+/**
+ * Heading and code fence problems in a page body. `offset` is the number of
+ * lines before the body.
+ */
+function lintBody(content, offset) {
+  const problems = [];
+  const slugs = new Map();
+  let h1s = 0;
+  let previousLevel = 0;
+  let fence = null;
+
+  content.split('\n').forEach((line, index) => {
+    const lineNumber = index + offset + 1;
+
+    const fenceMatch = line.match(/^(\s*)(`{3,}|~{3,})(.*)$/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[2];
+        if (!fenceMatch[3].trim()) {
+          problems.push({
+            rule: 'fence-language',
+            severity: 'error',
+            line: lineNumber,
+            message: 'Code fence has no language (use `text` for plain output)',
+            fix: { type: 'fence-language' }
+          });
+        }
+      } else if (fenceMatch[2].startsWith(fence) && !fenceMatch[3].trim()) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) return;
+
+    const level = heading[1].length;
+    const custom = heading[2].match(/\s*\{#([\w-]+)\}$/);
+    const text = heading[2].replace(/\s*\{#[\w-]+\}$/, '');
+
+    if (level === 1) {
+      h1s++;
+      if (h1s > 1) problems.push({ rule: 'single-h1', severity: 'error', line: lineNumber, message: `Second H1 "${text}"; a page has one title` });
+    } else if (previousLevel && level > previousLevel + 1) {
+      problems.push({ rule: 'heading-order', severity: 'error', line: lineNumber, message: `H${level} "${text}" follows an H${previousLevel}; don't skip heading levels` });
+    }
+    previousLevel = level;
+
+    const slug = custom ? custom[1] : slugify(headingText(text));
+    if (slugs.has(slug)) {
+      problems.push({
+        rule: 'duplicate-slug',
+        severity: 'error',
+        line: lineNumber,
+        message: `"${text}" has the same anchor (#${slug}) as the heading on line ${slugs.get(slug)}; give one a custom {#id}`
+      });
+    } else {
+      slugs.set(slug, lineNumber);
+    }
+  });
+
+  if (!h1s) problems.push({ rule: 'single-h1', severity: 'error', line: offset + 1, message: 'No H1; a page starts with its `#` title' });
+
+  return problems;
+}
+
+/**
+ * Apply the fixable problems to a page's source
+ */
+function applyFixes(source, problems) {
+  const lines = source.split('\n');
+
+  for (const { line, fix } of problems) {
+    if (fix.type === 'fence-language') {
+      lines[line - 1] = lines[line - 1].replace(/^(\s*(`{3,}|~{3,}))\s*$/, '$1text');
+    } else if (fix.type === 'order') {
+      lines[line - 1] = `order: ${fix.value}`;
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Lint every page, fixing what can be fixed when `fix` is set. Returns
+ * `{ pages, problems, fixed }`; `problems` are what remains after fixing.
+ */
+export function lintPages({ docsDir, description = { min: 50, max: 160 }, fix = false }) {
+  const problems = [];
+  const fixed = [];
+  const pages = findPages(docsDir);
+
+  for (const file of pages) {
+    const path = join(docsDir, file);
+    let source = readFileSync(path, 'utf-8');
+
+    const lint = () => {
+      const { data, content } = matter(source);
+      const frontmatterLines = frontmatterOf(source);
+      const offset = source.split('\n').length - content.split('\n').length;
+      return [
+        ...lintFrontmatter(data, frontmatterLines, { description }),
+        ...lintBody(content, offset)
+      ].map(problem => ({ file, ...problem }));
+    };
+
+    let found = lint();
+    const fixable = found.filter(problem => problem.fix);
+    if (fix && fixable.length) {
+      source = applyFixes(source, fixable);
+      writeFileSync(path, source);
+      fixed.push(...fixable.map(({ fix: _, ...problem }) => problem));
+      found = lint();
+    }
+
+    problems.push(...found);
+  }
+
+  return { pages: pages.length, problems, fixed };
+}
+
+/**
+ * Print the problems grouped by page and write the JSON report. Returns the
+ * number of errors.
+ */
+export function reportLint({ pages, problems, fixed }, reportFile) {
+  const errors = problems.filter(problem => problem.severity === 'error');
+  const warnings = problems.filter(problem => problem.severity === 'warning');
+
+  for (const { file, line, message } of fixed) {
+    console.log(`  🔧 docs/${file}:${line}: fixed: ${message}`);
+  }
+
+  let current = null;
+  for (const { file, line, rule, severity, message, fix } of problems) {
+    if (file !== current) {
+      current = file;
+      console.log(`  docs/${file}`);
+    }
+    console.log(`    ${severity === 'error' ? '❌' : '⚠️ '} ${line}: ${message} (${rule}${fix ? ', fixable with --fix' : ''})`);
+  }
+
+  console.log(`  Linted ${pages} pages: ${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+
+  if (reportFile) {
+    mkdirSync(dirname(reportFile), { recursive: true });
+    const report = {
+      pages,
+      errors: errors.length,
+      warnings: warnings.length,
+      fixed: fixed.map(({ file, line, rule, message }) => ({ file: `docs/${file}`, line, rule, message })),
+      problems: problems.map(({ file, line, rule, severity, message, fix }) => ({
+        file: `docs/${file}`,
+        line,
+        rule,
+        severity,
+        message,
+        fixable: Boolean(fix)
+      }))
+    };
+    writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
+    console.log(`  Report written to ${reportFile}`);
+  }
+
+  return errors.length;
+}
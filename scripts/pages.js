@@ -0,0 +1,34 @@
+/**
+ * Finding Pages
+ *
+ * Lists the markdown pages of the docs for the build steps and generators.
+ * Deliberately imports nothing from the site config, so listing pages never
+ * loads the nav, the site metadata or the library.
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { sectionDirs } from '../docs/.vitepress/sections.js';
+
+/**
+ * Every markdown page under docsDir, skipping VitePress internals, as paths
+ * relative to docsDir
+ */
+export function findAllPages(docsDir) {
+  return readdirSync(docsDir, { recursive: true })
+    .map(file => file.split(/[\\/]/).join('/'))
+    .filter(file => file.endsWith('.md') && !file.startsWith('.vitepress/'))
+    .sort();
+}
+
+/**
+ * Every page in the sidebar sections, as paths relative to docsDir
+ */
+export function findPages(docsDir) {
+  return sectionDirs
+    .filter(section => existsSync(join(docsDir, section)))
+    .flatMap(section => readdirSync(join(docsDir, section), { recursive: true })
+      .map(file => `${section}/${file.split(/[\\/]/).join('/')}`))
+    .filter(file => file.endsWith('.md'))
+    .sort();
+}
@@ -0,0 +1,446 @@
+/**
+ * Performance Budget
+ *
+ * Measures the built site in docs/.vitepress/dist:
+ *
+ * - per page, the HTML document and the JS and CSS it loads up front (the
+ *   entry script, its modulepreloads and stylesheets), raw and gzipped
+ * - the largest files browsers load: scripts, stylesheets, fonts and images
+ * - every image's dimensions against the size it's rendered at, from its
+ *   `<img>` width and height, the size its head tag implies (1200x630 for
+ *   og:image, 180x180 for apple-touch-icon, ...) or the width of the content
+ *   column
+ * - duplicated chunks: files with the same content, or a chunk that was
+ *   emitted more than once under different hashes
+ *
+ * Budgets are checked against gzipped sizes for pages and raw sizes for
+ * files. Exceeding one is an error and fails the performance step of
+ * scripts/build.js, unless the file is listed in `ignore`; images that are
+ * smaller than they're rendered, files that can't be read and duplicates are
+ * warnings.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, extname, join, posix } from 'path';
+import { gzipSync } from 'zlib';
+
+const TYPES = {
+  '.js': 'js',
+  '.css': 'css',
+  '.woff': 'font',
+  '.woff2': 'font',
+  '.ttf': 'font',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.gif': 'image',
+  '.webp': 'image',
+  '.avif': 'image',
+  '.ico': 'image',
+  '.svg': 'image'
+};
+
+/**
+ * The size images referenced from the head are displayed at, by the meta
+ * property or link rel that references them
+ */
+export const headImageSizes = {
+  'og:image': { width: 1200, height: 630 },
+  'twitter:image': { width: 1200, height: 628 },
+  'apple-touch-icon': { width: 180, height: 180 },
+  icon: { width: 32, height: 32 }
+};
+
+/**
+ * Every file under a directory, as forward-slash paths relative to it
+ */
+function listFiles(dir) {
+  return readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => posix.join(
+      (entry.parentPath ?? entry.path).slice(dir.length).split(/[\\/]/).filter(Boolean).join('/'),
+      entry.name
+    ))
+    .sort();
+}
+
+/**
+ * Width and height of a PNG, GIF, JPEG, WebP, AVIF or ICO image, read from
+ * its header. Returns null for formats it doesn't know (including SVG, which
+ * scales) and for files that aren't what their header claims.
+ */
+export function imageDimensions(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && ascii(12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && ascii(0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  if (buffer.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    const chunk = ascii(12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  if (buffer.length >= 12 && ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) {
+    // The image spatial extents property: version/flags, width, height
+    const ispe = buffer.indexOf('ispe', 0, 'latin1');
+    return ispe === -1 || ispe + 16 > buffer.length
+      ? null
+      : { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+  }
+
+  if (buffer.length >= 22 && buffer.readUInt16LE(0) === 0 && buffer.readUInt16LE(2) === 1) {
+    // The largest of the icon's images; 0 means 256
+    const count = buffer.readUInt16LE(4);
+    let largest = null;
+    for (let i = 0; i < count && 6 + i * 16 + 2 <= buffer.length; i++) {
+      const width = buffer[6 + i * 16] || 256;
+      const height = buffer[7 + i * 16] || 256;
+      if (!largest || width > largest.width) largest = { width, height };
+    }
+    return largest;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a file is listed as a known exception. Entries are either exact
+ * paths relative to outDir, prefixes ending in `*`, or regular expressions.
+ */
+function isIgnored(file, ignore) {
+  return ignore.some(entry => {
+    if (entry instanceof RegExp) return entry.test(file);
+    if (entry.endsWith('*')) return file.startsWith(entry.slice(0, -1));
+    return file === entry;
+  });
+}
+
+/**
+ * Attributes of an HTML tag, e.g. `<img src="a" width="10">`
+ */
+function attributes(tag) {
+  return Object.fromEntries(
+    [...tag.matchAll(/\s([\w:-]+)(?:="([^"]*)")?/g)].map(([, name, value = '']) => [name.toLowerCase(), value])
+  );
+}
+
+/**
+ * The file in outDir a URL on a page points at, or null for other sites
+ */
+function resolveUrl(url, page, siteUrl) {
+  let path = url.split(/[?#]/)[0];
+  if (siteUrl && path.startsWith(siteUrl)) path = path.slice(siteUrl.length) || '/';
+  if (/^([a-z]+:)?\/\//i.test(path) || /^data:/i.test(path)) return null;
+
+  path = path.startsWith('/') ? path.slice(1) : posix.join(posix.dirname(page), path);
+  return posix.normalize(path);
+}
+
+/**
+ * The resources a built page loads up front, and the images it references
+ * with the size they're rendered at (null when it isn't known)
+ */
+function pageResources(html, page, siteUrl) {
+  const js = new Set();
+  const css = new Set();
+  const images = [];
+
+  for (const [tag] of html.matchAll(/<(?:script|link|meta|img)\s[^>]*>/g)) {
+    const attrs = attributes(tag);
+    const rel = (attrs.rel || '').split(/\s+/);
+
+    if (tag.startsWith('<script') && attrs.src) {
+      js.add(resolveUrl(attrs.src, page, siteUrl));
+    } else if (tag.startsWith('<link') && rel.includes('modulepreload')) {
+      js.add(resolveUrl(attrs.href, page, siteUrl));
+    } else if (tag.startsWith('<link') && rel.includes('stylesheet')) {
+      css.add(resolveUrl(attrs.href, page, siteUrl));
+    } else if (tag.startsWith('<link') && (rel.includes('icon') || rel.includes('apple-touch-icon'))) {
+      const sizes = attrs.sizes?.match(/^(\d+)x(\d+)$/);
+      const rendered = sizes
+        ? { width: Number(sizes[1]), height: Number(sizes[2]) }
+        : headImageSizes[rel.includes('apple-touch-icon') ? 'apple-touch-icon' : 'icon'];
+      images.push({ file: resolveUrl(attrs.href, page, siteUrl), as: rel.join(' '), rendered });
+    } else if (tag.startsWith('<meta') && headImageSizes[attrs.property || attrs.name]) {
+      const as = attrs.property || attrs.name;
+      images.push({ file: resolveUrl(attrs.content, page, siteUrl), as, rendered: headImageSizes[as] });
+    } else if (tag.startsWith('<img') && attrs.src) {
+      const width = Number(attrs.width) || null;
+      const height = Number(attrs.height) || null;
+      images.push({ file: resolveUrl(attrs.src, page, siteUrl), as: 'img', rendered: width || height ? { width, height } : null });
+    }
+  }
+
+  return { js: [...js].filter(Boolean), css: [...css].filter(Boolean), images: images.filter(image => image.file) };
+}
+
+/**
+ * Measure the built site and check it against the budgets. Returns the
+ * measurements and the problems found, in a stable order so reports from
+ * two builds can be diffed.
+ */
+export function analyzeBuild({ outDir, siteUrl = '', budgets = {}, images: imageOptions = {}, largest: largestCount = 10, ignore = [] }) {
+  const { maxScale = 2, contentWidth = 688 } = imageOptions;
+  const files = listFiles(outDir);
+  const problems = [];
+  const sizes = new Map();
+
+  // Raw and gzipped size of a file in outDir, or null when it doesn't exist
+  const sizeOf = file => {
+    if (!sizes.has(file)) {
+      const path = join(outDir, file);
+      const contents = existsSync(path) ? readFileSync(path) : null;
+      sizes.set(file, contents && { bytes: contents.length, gzip: gzipSync(contents, { level: 9 }).length });
+    }
+    return sizes.get(file);
+  };
+
+  const sum = list => list.reduce(
+    (total, file) => {
+      const size = sizeOf(file);
+      return size ? { bytes: total.bytes + size.bytes, gzip: total.gzip + size.gzip } : total;
+    },
+    { bytes: 0, gzip: 0 }
+  );
+
+  // Pages
+  const imageUses = new Map();
+  const pages = files.filter(file => file.endsWith('.html')).map(page => {
+    const resources = pageResources(readFileSync(join(outDir, page), 'utf-8'), page, siteUrl);
+
+    for (const file of [...resources.js, ...resources.css].filter(file => !sizeOf(file))) {
+      problems.push({ type: 'missing', severity: 'warning', file: page, message: `Loads ${file}, which isn't in the build output` });
+    }
+    for (const image of resources.images) {
+      if (!imageUses.has(image.file)) imageUses.set(image.file, []);
+      imageUses.get(image.file).push({ page, as: image.as, rendered: image.rendered });
+    }
+
+    const html = sizeOf(page);
+    const js = sum(resources.js);
+    const css = sum(resources.css);
+    const total = { bytes: html.bytes + js.bytes + css.bytes, gzip: html.gzip + js.gzip + css.gzip };
+
+    for (const [kind, size] of Object.entries({ html, js, css, total })) {
+      const budget = budgets[kind];
+      if (budget && size.gzip > budget) {
+        problems.push({
+          type: 'budget',
+          severity: 'error',
+          file: page,
+          message: `${kind === 'total' ? 'Page weight' : kind.toUpperCase()} is ${formatBytes(size.gzip)} gzipped; the budget is ${formatBytes(budget)}`
+        });
+      }
+    }
+
+    return { page, html, js, css, total, scripts: resources.js, stylesheets: resources.css };
+  });
+
+  // Files browsers load, largest first
+  const assets = files
+    .filter(file => TYPES[extname(file).toLowerCase()])
+    .map(file => ({ file, type: TYPES[extname(file).toLowerCase()], ...sizeOf(file) }))
+    .sort((a, b) => b.bytes - a.bytes || a.file.localeCompare(b.file));
+
+  for (const { file, type, bytes } of assets) {
+    const budget = type === 'image' && budgets.image ? budgets.image : budgets.asset;
+    if (budget && bytes > budget) {
+      problems.push({ type: 'budget', severity: 'error', file, message: `${formatBytes(bytes)}; the budget for ${type === 'image' ? 'an image' : 'a file'} is ${formatBytes(budget)}` });
+    }
+  }
+
+  // Images against the size they're shown at
+  const images = assets.filter(asset => asset.type === 'image').map(({ file, bytes }) => {
+    const vector = extname(file).toLowerCase() === '.svg';
+    const dimensions = vector ? null : imageDimensions(readFileSync(join(outDir, file)));
+    const uses = imageUses.get(file) || [];
+
+    if (!vector && !dimensions) {
+      problems.push({ type: 'image', severity: 'warning', file, message: `Can't read the dimensions; the file isn't a valid ${extname(file).slice(1).toUpperCase()} image` });
+    }
+
+    // The largest size it's shown at; unsized <img>s are at most the content width
+    const rendered = uses.reduce((largest, { rendered: size, as }) => {
+      const candidate = size || (as === 'img' ? { width: contentWidth, height: null } : null);
+      return candidate && (!largest || (candidate.width || 0) > (largest.width || 0)) ? candidate : largest;
+    }, null);
+
+    if (dimensions && rendered) {
+      const scale = Math.max(
+        rendered.width ? dimensions.width / rendered.width : 0,
+        rendered.height ? dimensions.height / rendered.height : 0
+      );
+      const shownAt = `${rendered.width ?? 'auto'}x${rendered.height ?? 'auto'}`;
+      if (scale > maxScale) {
+        problems.push({
+          type: 'budget',
+          severity: 'error',
+          file,
+          message: `${dimensions.width}x${dimensions.height} is ${scale.toFixed(1)}x the ${shownAt} it's shown at; resize it to at most ${maxScale}x`
+        });
+      } else if (rendered.width && rendered.height && (dimensions.width < rendered.width || dimensions.height < rendered.height)) {
+        problems.push({ type: 'image', severity: 'warning', file, message: `${dimensions.width}x${dimensions.height} is smaller than the ${shownAt} it's shown at, so it will look blurry` });
+      }
+    }
+
+    return {
+      file,
+      bytes,
+      dimensions,
+      rendered,
+      usedAs: [...new Set(uses.map(use => use.as))].sort(),
+      pages: uses.length
+    };
+  });
+
+  // Duplicated chunks: identical content, or one chunk built under two hashes
+  const groups = new Map();
+  for (const { file, bytes } of assets) {
+    // VitePress emits a page's lean chunk even when it's identical
+    if (file.endsWith('.lean.js')) continue;
+
+    const hash = createHash('sha1').update(readFileSync(join(outDir, file))).digest('hex');
+    groups.set(`content:${hash}`, [...(groups.get(`content:${hash}`) || []), { file, bytes }]);
+
+    const chunk = file.match(/^(.*)\.[\w-]{8}\.js$/);
+    if (chunk) {
+      const name = `name:${chunk[1]}`;
+      groups.set(name, [...(groups.get(name) || []), { file, bytes }]);
+    }
+  }
+
+  const duplicates = [...groups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .filter(([key, group]) => key.startsWith('content:') || group.length > 1)
+    .map(([key, group]) => ({
+      reason: key.startsWith('content:') ? 'same content' : 'same chunk, different hashes',
+      files: group.map(entry => entry.file),
+      wasted: group.slice(1).reduce((total, entry) => total + entry.bytes, 0)
+    }))
+    .sort((a, b) => b.wasted - a.wasted || a.files[0].localeCompare(b.files[0]));
+
+  for (const { reason, files: duplicated, wasted } of duplicates) {
+    problems.push({ type: 'duplicate', severity: 'warning', file: duplicated[0], message: `${reason} as ${duplicated.slice(1).join(', ')} (${formatBytes(wasted)} wasted)` });
+  }
+
+  // Known exceptions are still reported, but don't fail the build
+  for (const problem of problems) {
+    if (problem.severity === 'error' && isIgnored(problem.file, ignore)) {
+      problem.severity = 'warning';
+      problem.message += ' (ignored)';
+    }
+  }
+
+  return {
+    pages,
+    largest: assets.slice(0, largestCount),
+    images,
+    duplicates,
+    problems: problems.sort((a, b) => a.file.localeCompare(b.file) || a.type.localeCompare(b.type))
+  };
+}
+
+/**
+ * A byte count for humans, e.g. `12.3 kB`
+ */
+export function formatBytes(bytes) {
+  if (Math.abs(bytes) < 1000) return `${bytes} B`;
+  if (Math.abs(bytes) < 1000 * 1000) return `${(bytes / 1000).toFixed(1)} kB`;
+  return `${(bytes / 1000 / 1000).toFixed(2)} MB`;
+}
+
+/**
+ * Totals across every page, for comparing two builds
+ */
+function totals(pages) {
+  const average = kind => Math.round(pages.reduce((sum, page) => sum + page[kind].gzip, 0) / (pages.length || 1));
+  const heaviest = pages.reduce((max, page) => (page.total.gzip > (max?.total.gzip ?? -1) ? page : max), null);
+
+  return {
+    pages: pages.length,
+    averageGzip: { html: average('html'), js: average('js'), css: average('css'), total: average('total') },
+    heaviest: heaviest && { page: heaviest.page, gzip: heaviest.total.gzip }
+  };
+}
+
+/**
+ * Print the budget problems, the heaviest pages and the largest files, and
+ * write the JSON report. The change in average page weight since the report
+ * already at reportFile is printed too. Returns the number of errors.
+ */
+export function reportPerformance(result, reportFile) {
+  const summary = totals(result.pages);
+  const errors = result.problems.filter(problem => problem.severity === 'error');
+
+  const previous = reportFile && existsSync(reportFile) ? JSON.parse(readFileSync(reportFile, 'utf-8')) : null;
+  const change = kind => {
+    const before = previous?.totals?.averageGzip?.[kind];
+    if (before === undefined) return '';
+    const delta = summary.averageGzip[kind] - before;
+    return delta === 0 ? ' (unchanged)' : ` (${delta > 0 ? '+' : '-'}${formatBytes(Math.abs(delta))} since the last build)`;
+  };
+
+  console.log(`  ${summary.pages} pages, gzipped on average:`);
+  for (const kind of ['html', 'js', 'css', 'total']) {
+    console.log(`    ${kind.padEnd(6)}${formatBytes(summary.averageGzip[kind]).padStart(10)}${change(kind)}`);
+  }
+
+  console.log('  Heaviest pages (gzipped):');
+  for (const { page, total } of [...result.pages].sort((a, b) => b.total.gzip - a.total.gzip).slice(0, 5)) {
+    console.log(`    ${formatBytes(total.gzip).padStart(10)}  ${page}`);
+  }
+
+  console.log('  Largest files:');
+  for (const { file, bytes } of result.largest) {
+    console.log(`    ${formatBytes(bytes).padStart(10)}  ${file}`);
+  }
+
+  for (const { file, severity, message } of result.problems) {
+    console.log(`  ${severity === 'error' ? '❌' : '⚠️ '} ${file}: ${message}`);
+  }
+
+  if (reportFile) {
+    mkdirSync(dirname(reportFile), { recursive: true });
+    const report = {
+      totals: summary,
+      pages: result.pages.map(({ page, html, js, css, total }) => ({ page, html, js, css, total })),
+      largest: result.largest,
+      images: result.images,
+      duplicates: result.duplicates,
+      problems: result.problems
+    };
+    writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
+    console.log(`  Report written to ${reportFile}`);
+  }
+
+  return errors.length;
+}
@@ -0,0 +1,202 @@
+/**
+ * Redirects
+ *
+ * Serves the old URLs listed in docs/.vitepress/redirects.js once the site
+ * is built:
+ *
+ *   - a page at each old URL (`api/typescript.html`) that sends the reader
+ *     on with `<meta http-equiv="refresh">`, keeping the `#anchor` they came
+ *     with, and names the new URL as canonical
+ *   - `_redirects` (Netlify, Cloudflare Pages) and `vercel.json` with a 301
+ *     for each old URL, with and without `.html`, for hosts that read them,
+ *     except where only a trailing slash changes
+ *
+ * Files of the same name in docs/public are extended rather than replaced.
+ * The check runs first and fails the step on redirects whose old URL is
+ * still a page, whose target page or anchor doesn't exist, or that lead to
+ * another redirect.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { pageUrl } from '../docs/.vitepress/seo.js';
+import { findAllPages } from './pages.js';
+
+/**
+ * The URL path of every page, mapped to its source file
+ */
+function pagesByUrl(docsDir) {
+  return new Map(findAllPages(docsDir).map(file => [pageUrl(file), file]));
+}
+
+/**
+ * The built file serving a URL path, e.g. `/guide/` -> `guide/index.html`
+ */
+function htmlFileOf(path) {
+  return path.endsWith('/') ? `${path.slice(1)}index.html` : `${path.slice(1)}.html`;
+}
+
+function splitTarget(to) {
+  const [path, hash = ''] = to.split('#');
+  return { path, hash: hash ? `#${hash}` : '' };
+}
+
+/**
+ * Problems with the redirects, as `{ from, to, problem }`. Target anchors
+ * are looked up in the built pages in outDir.
+ */
+export function checkRedirects({ redirects, docsDir, outDir }) {
+  const problems = [];
+  const pages = pagesByUrl(docsDir);
+  const targets = new Map(redirects.map(redirect => [redirect.from, redirect.to]));
+  const seen = new Set();
+
+  for (const { from, to } of redirects) {
+    const problem = message => problems.push({ from, to, problem: message });
+
+    if (!/^\/[^#?]*$/.test(from) || from.endsWith('.html')) {
+      problem('`from` should be a URL path like `/guide/old-page`, without `.html`, a query or an anchor');
+      continue;
+    }
+    if (!to?.startsWith('/')) {
+      problem('`to` should be a URL path on this site, like `/guide/new-page`');
+      continue;
+    }
+    if (seen.has(from)) {
+      problem(`${from} is redirected more than once`);
+      continue;
+    }
+    seen.add(from);
+
+    if (pages.has(from)) {
+      problem(`${from} is still a page (docs/${pages.get(from)}); remove the page or the redirect`);
+    }
+
+    const { path, hash } = splitTarget(to);
+    if (targets.has(path)) {
+      // Follow the chain to where it ends, or to the point it loops
+      const chain = [from, path];
+      let next = path;
+      while (targets.has(next) && !chain.slice(0, -1).includes(next)) {
+        next = splitTarget(targets.get(next)).path;
+        chain.push(next);
+      }
+      problem(chain.slice(0, -1).includes(next)
+        ? `redirect loop: ${chain.join(' -> ')}`
+        : `redirect chain: ${chain.join(' -> ')}; point it at ${next} directly`);
+      continue;
+    }
+
+    if (!pages.has(path)) {
+      problem(`${path} is not a page`);
+      continue;
+    }
+
+    if (hash) {
+      const htmlFile = join(outDir, htmlFileOf(path));
+      if (!existsSync(htmlFile)) {
+        problem(`${path} has not been built, so ${hash} can't be checked`);
+      } else if (!readFileSync(htmlFile, 'utf-8').includes(` id="${decodeURIComponent(hash.slice(1))}"`)) {
+        problem(`no heading ${hash} in docs/${pages.get(path)}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The page served at an old URL
+ */
+export function redirectPage(to, siteUrl) {
+  const { path, hash } = splitTarget(to);
+  const href = escapeHtml(to);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Moved to ${escapeHtml(siteUrl + to)}</title>
+  <link rel="canonical" href="${escapeHtml(siteUrl + path)}">
+  <meta http-equiv="refresh" content="0; url=${href}">
+  <script>location.replace(${JSON.stringify(path)} + (location.hash || ${JSON.stringify(hash)}))</script>
+</head>
+<body>
+  <p>This page has moved to <a href="${href}">${escapeHtml(siteUrl + to)}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Every old URL a redirect answers to: the URL itself and, for pages,
+ * the `.html` file VitePress links to
+ */
+function sourcesOf(from) {
+  return from.endsWith('/') ? [from] : [from, `${from}.html`];
+}
+
+/**
+ * Whether a redirect only adds or removes a trailing slash, e.g.
+ * `/api/typescript` -> `/api/typescript/`. Hosts normalize trailing slashes
+ * before matching their rules, so a rule for it would loop or be ignored;
+ * the redirecting page handles it instead.
+ */
+function onlyChangesSlash({ from, to }) {
+  const { path } = splitTarget(to);
+  return path !== from && path.replace(/\/$/, '') === from.replace(/\/$/, '');
+}
+
+/**
+ * Write the redirecting pages, `_redirects` and `vercel.json` into outDir.
+ * Returns the files written, relative to outDir.
+ */
+export function writeRedirects({ redirects, outDir, publicDir, siteUrl }) {
+  const written = [];
+  const write = (file, contents) => {
+    mkdirSync(dirname(join(outDir, file)), { recursive: true });
+    writeFileSync(join(outDir, file), contents);
+    written.push(file);
+  };
+
+  for (const { from, to } of redirects) {
+    write(htmlFileOf(from), redirectPage(to, siteUrl));
+  }
+
+  // Start from the hosts' own files in docs/public, so running the step
+  // again doesn't add the redirects twice
+  const base = file => (existsSync(join(publicDir, file)) ? readFileSync(join(publicDir, file), 'utf-8') : null);
+
+  const hostRedirects = redirects.filter(redirect => !onlyChangesSlash(redirect));
+
+  const netlify = hostRedirects.flatMap(({ from, to }) => sourcesOf(from).map(source => `${source} ${to} 301`));
+  const redirectsFile = base('_redirects');
+  write('_redirects', `${redirectsFile ? `${redirectsFile.replace(/\s*$/, '')}\n\n` : ''}${netlify.join('\n')}\n`);
+
+  const vercel = JSON.parse(base('vercel.json') || '{}');
+  vercel.redirects = [
+    ...(vercel.redirects || []),
+    ...hostRedirects.flatMap(({ from, to }) => sourcesOf(from).map(source => ({ source, destination: to, permanent: true })))
+  ];
+  write('vercel.json', JSON.stringify(vercel, null, 2) + '\n');
+
+  return written;
+}
+
+/**
+ * Print the problems. Returns how many there are.
+ */
+export function reportRedirects(redirects, problems) {
+  for (const { from, to, problem } of problems) {
+    console.log(`  ❌ ${from} -> ${to}: ${problem}`);
+  }
+  if (!problems.length) {
+    console.log(`  ${redirects.length} redirect${redirects.length === 1 ? '' : 's'} checked`);
+  }
+
+  return problems.length;
+}
@@ -0,0 +1,137 @@
+/**
+ * Service Worker
+ *
+ * Writes /sw.js into the built site: the worker in
+ * docs/.vitepress/service-worker.js, preceded by what it caches:
+ *
+ *   shell    what the home page loads up front (its entry script,
+ *            modulepreloads, stylesheets, preloaded fonts and icons), the 404
+ *            page, the local search index and the web app manifest; cached
+ *            when the worker installs
+ *   files    every file in the build output except those matched by
+ *            `exclude`; cached when the reader saves the docs for offline
+ *            reading
+ *   version  the first 12 hex digits of a SHA-256 over the path and content
+ *            of every file above, so any change to the build gives the
+ *            worker new caches and readers an "update available" prompt
+ *
+ * The theme registers the worker and shows the prompt (see
+ * docs/.vitepress/theme/useOffline.js).
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname, join, posix } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const workerSource = join(__dirname, '../docs/.vitepress/service-worker.js');
+
+// Written into the build output, and never worth caching
+const NEVER_CACHED = ['sw.js', '_redirects', 'vercel.json', 'hashmap.json'];
+
+/**
+ * Every file under a directory, as forward-slash paths relative to it
+ */
+function listFiles(dir) {
+  return readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => posix.join(
+      (entry.parentPath ?? entry.path).slice(dir.length).split(/[\\/]/).filter(Boolean).join('/'),
+      entry.name
+    ))
+    .sort();
+}
+
+/**
+ * Whether a file is excluded. Entries are either exact paths relative to
+ * outDir, prefixes ending in `*`, or regular expressions.
+ */
+function isExcluded(file, exclude) {
+  return exclude.some(entry => {
+    if (entry instanceof RegExp) return entry.test(file);
+    if (entry.endsWith('*')) return file.startsWith(entry.slice(0, -1));
+    return file === entry;
+  });
+}
+
+/**
+ * Attributes of an HTML tag, e.g. `<link rel="icon" href="/logo.svg">`
+ */
+function attributes(tag) {
+  return Object.fromEntries(
+    [...tag.matchAll(/\s([\w:-]+)(?:="([^"]*)")?/g)].map(([, name, value = '']) => [name.toLowerCase(), value])
+  );
+}
+
+/**
+ * The files of the built site the home page loads before it can be used,
+ * as paths relative to outDir
+ */
+function homePageFiles(outDir) {
+  const html = readFileSync(join(outDir, 'index.html'), 'utf-8');
+  const files = [];
+
+  for (const [tag] of html.matchAll(/<(?:script|link)\s[^>]*>/g)) {
+    const attrs = attributes(tag);
+    const rel = (attrs.rel || '').split(/\s+/);
+    const url = tag.startsWith('<script')
+      ? attrs.src
+      : ['modulepreload', 'stylesheet', 'preload', 'icon', 'apple-touch-icon', 'manifest'].some(value => rel.includes(value)) && attrs.href;
+
+    // Only files of this site; links to other sites start with a scheme or `//`
+    if (url && url.startsWith('/') && !url.startsWith('//')) {
+      files.push(url.slice(1).split(/[?#]/)[0]);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * URL of a built file, e.g. `guide/index.html` -> `/guide/`. Pages keep
+ * their `.html`, as VitePress links to them.
+ */
+function urlOf(file) {
+  return '/' + file.replace(/(^|\/)index\.html$/, '$1');
+}
+
+/**
+ * Work out what the worker caches, as `{ version, shell, files, bytes }`
+ * with URL paths
+ */
+export function offlineFiles({ outDir, exclude = [] }) {
+  const all = listFiles(outDir).filter(file => !NEVER_CACHED.includes(file));
+
+  const shell = [...new Set([
+    'index.html',
+    '404.html',
+    ...homePageFiles(outDir),
+    ...all.filter(file => /^assets\/chunks\/(@localSearchIndex|VPLocalSearchBox)/.test(file))
+  ])].filter(file => existsSync(join(outDir, file)));
+
+  const files = all.filter(file => !isExcluded(file, exclude));
+
+  const hash = createHash('sha256');
+  for (const file of [...new Set([...shell, ...files])].sort()) {
+    hash.update(`${file}\0`).update(readFileSync(join(outDir, file))).update('\0');
+  }
+
+  return {
+    version: hash.digest('hex').slice(0, 12),
+    shell: shell.map(urlOf),
+    files: files.map(urlOf),
+    bytes: files.reduce((total, file) => total + statSync(join(outDir, file)).size, 0)
+  };
+}
+
+/**
+ * Write sw.js into outDir. Returns what it caches.
+ */
+export function writeServiceWorker({ outDir, exclude = [] }) {
+  const offline = offlineFiles({ outDir, exclude });
+  const worker = readFileSync(workerSource, 'utf-8');
+
+  writeFileSync(join(outDir, 'sw.js'), `self.__OFFLINE__ = ${JSON.stringify(offline)}\n\n${worker}`);
+  return offline;
+}
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Version Snapshot
+ *
+ * Freezes the latest documentation into its own version directory before the
+ * docs move on to the next major release:
+ *
+ *   node scripts/snapshot-version.js v1
+ *
+ * copies the home page and every section (guide, api, frameworks, examples)
+ * to docs/v1/, rewriting site-absolute links between copied pages so they
+ * stay within the snapshot. Add the entry it prints to
+ * docs/.vitepress/versions.js afterwards; until then the copy is served but
+ * not listed in the switcher. The latest docs stay listed as `latest`.
+ */
+
+import { cpSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { versions } from '../docs/.vitepress/versions.js';
+import { findPages } from './pages.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const docsDir = resolve(__dirname, '../docs');
+
+/**
+ * Point site-absolute links at the snapshot when the linked page was copied
+ * into it, e.g. `](/guide/installation)` -> `](/v1/guide/installation)`
+ */
+function rewriteLinks(markdown, name, copied) {
+  const rewrite = (link) => {
+    const path = link.replace(/[?#].*$/, '');
+    const page = path.endsWith('/') ? `${path.slice(1)}index.md` : `${path.slice(1)}.md`;
+    return copied.has(page) ? `/${name}${link}` : link;
+  };
+
+  return markdown
+    .replace(/(\]\()(\/[^)\s]*)/g, (match, prefix, link) => prefix + rewrite(link))
+    .replace(/(\shref=")(\/[^"]*)/g, (match, prefix, link) => prefix + rewrite(link))
+    .replace(/^(\s*link:\s*)(\/\S*)$/gm, (match, prefix, link) => prefix + rewrite(link));
+}
+
+function snapshot(name) {
+  if (!/^v[\w.-]+$/.test(name)) {
+    throw new Error(`Version names look like v1 or v0.x, got "${name}"`);
+  }
+
+  if (versions.some(version => version.name === name || version.dir === name)) {
+    throw new Error(`${name} is already listed in docs/.vitepress/versions.js`);
+  }
+
+  const target = join(docsDir, name);
+  if (existsSync(target)) {
+    throw new Error(`docs/${name} already exists`);
+  }
+
+  const copied = new Set(['index.md', ...findPages(docsDir)]);
+
+  for (const page of copied) {
+    const dest = join(target, page);
+    cpSync(join(docsDir, page), dest);
+    writeFileSync(dest, rewriteLinks(readFileSync(dest, 'utf-8'), name, copied));
+  }
+
+  console.log(`📸 Copied ${copied.size} pages to docs/${name}`);
+  console.log(`   Add { name: '${name}', label: '${name}', dir: '${name}', status: 'outdated' } to docs/.vitepress/versions.js`);
+}
+
+try {
+  const name = process.argv[2];
+  if (!name) {
+    throw new Error('Usage: node scripts/snapshot-version.js <version>');
+  }
+  snapshot(name);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Code Sample Tests
+ *
+ * Extracts every fenced JavaScript/TypeScript block from the docs and:
+ * - syntax-checks all of them
+ * - runs the ones marked as tests against a local copy of wp-block-to-html
+ * - for tests marked `expect-output`, compares what the snippet prints with
+ *   the `html` fence that follows it
+ *
+ * Markers go in the fence meta or in a comment at the top of the block:
+ *
+ *   ```javascript test            or   // @test
+ *   ```javascript expect-output   or   // @expect-output
+ *   ```javascript skip            (not even syntax-checked, e.g. pseudo-code)
+ *
+ * Usage:
+ *   node scripts/test-snippets.js [--lib <path to wp-block-to-html>] [files...]
+ *
+ * The library is looked up in --lib, $WP_BLOCK_TO_HTML_PATH, a sibling
+ * ../wp-block-to-html checkout, then node_modules. Without it, runnable
+ * snippets are reported as skipped and only the syntax check runs.
+ */
+
+import { spawnSync } from 'child_process';
+import { transformSync } from 'esbuild';
+import { mkdtempSync, readFileSync, rmSync, symlinkSync, mkdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { findLibrary, libraryArg } from './library.js';
+import { findAllPages } from './pages.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const docsDir = resolve(__dirname, '../docs');
+
+// esbuild loaders to try for each fence language, in order. JavaScript
+// fences often contain JSX, and TypeScript ones TSX, so those are accepted too.
+const LOADERS = {
+  javascript: ['jsx'],
+  js: ['jsx'],
+  jsx: ['jsx'],
+  typescript: ['ts', 'tsx'],
+  ts: ['ts', 'tsx'],
+  tsx: ['tsx']
+};
+
+const TRANSFORM_OPTIONS = {
+  format: 'esm',
+  jsx: 'automatic',
+  logLevel: 'silent',
+  // Angular examples use constructor parameter decorators
+  tsconfigRaw: { compilerOptions: { experimentalDecorators: true } }
+};
+
+// How long a single snippet may run before it counts as a failure
+const RUN_TIMEOUT = 10000;
+
+/**
+ * Split a markdown file into its fenced code blocks, keeping the line each
+ * one starts on, its language, its meta words and its content
+ */
+export function extractFences(markdown) {
+  const fences = [];
+  const lines = markdown.split('\n');
+  let open = null;
+
+  lines.forEach((line, i) => {
+    const match = line.match(/^(\s*)(`{3,}|~{3,})\s*([\w-]*)\s*(.*)$/);
+
+    if (!open) {
+      if (match) {
+        open = { marker: match[2], indent: match[1].length, lang: match[3].toLowerCase(), meta: match[4], line: i + 1, body: [] };
+      }
+      return;
+    }
+
+    if (match && match[2].startsWith(open.marker) && !match[3] && !match[4]) {
+      fences.push({ ...open, code: open.body.join('\n') });
+      open = null;
+      return;
+    }
+
+    open.body.push(line.slice(Math.min(open.indent, line.search(/\S|$/))));
+  });
+
+  return fences;
+}
+
+/**
+ * Work out which checks apply to a code block from its fence meta and any
+ * `// @test` / `// @expect-output` comment
+ */
+function snippetMode(fence) {
+  const meta = fence.meta.split(/\s+/);
+  const has = (flag) => meta.includes(flag) || new RegExp(`^\\s*//\\s*@${flag}\\b`, 'm').test(fence.code);
+
+  if (meta.includes('skip')) return 'skip';
+  if (has('expect-output')) return 'expect-output';
+  if (has('test')) return 'test';
+  return 'syntax';
+}
+
+/**
+ * Compile a snippet to plain ESM with the first loader that accepts it.
+ * Throws the first loader's error when none do.
+ */
+function compile(fence) {
+  let firstError = null;
+
+  for (const loader of LOADERS[fence.lang]) {
+    try {
+      return transformSync(fence.code, { ...TRANSFORM_OPTIONS, loader }).code;
+    } catch (error) {
+      firstError ||= error;
+    }
+  }
+
+  throw firstError;
+}
+
+/**
+ * Syntax-check a snippet. Returns the error message and line (within the
+ * snippet), or null when it parses.
+ */
+function syntaxError(fence) {
+  try {
+    compile(fence);
+    return null;
+  } catch (error) {
+    const first = error.errors?.[0];
+    return { message: first ? first.text : error.message, line: first?.location?.line ?? 1 };
+  }
+}
+
+/**
+ * Compile a snippet to plain ESM and run it in its own node process, with
+ * `wp-block-to-html` imports resolving to the local library
+ */
+function runSnippet(fence, workDir) {
+  const code = compile(fence);
+  const file = join(workDir, `snippet-${fence.line}.mjs`);
+  writeFileSync(file, code);
+
+  const result = spawnSync(process.execPath, [file], { cwd: workDir, encoding: 'utf-8', timeout: RUN_TIMEOUT });
+  if (result.error) {
+    return { error: result.error.code === 'ETIMEDOUT' ? `timed out after ${RUN_TIMEOUT / 1000}s` : result.error.message };
+  }
+  if (result.status !== 0) {
+    return { error: (result.stderr || `exited with code ${result.status}`).trim().split('\n').slice(0, 5).join('\n      ') };
+  }
+  return { output: result.stdout };
+}
+
+/**
+ * Normalize HTML so formatting differences between the printed output and
+ * the documented output don't count as failures
+ */
+function normalizeHtml(html) {
+  return html.replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const files = argv.filter((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--lib');
+  const pages = files.length ? files.map(file => file.replace(/^docs\//, '')) : findAllPages(docsDir);
+
+  const library = findLibrary(libraryArg(argv));
+  let workDir = null;
+  if (library) {
+    workDir = mkdtempSync(join(tmpdir(), 'docs-snippets-'));
+    mkdirSync(join(workDir, 'node_modules'));
+    symlinkSync(library, join(workDir, 'node_modules/wp-block-to-html'), 'junction');
+    console.log(`📚 Running snippets against ${library}`);
+  } else {
+    console.log('⚠️  wp-block-to-html not found (use --lib <path>); runnable snippets will only be syntax-checked');
+  }
+
+  const failures = [];
+  const counts = { syntax: 0, run: 0, skipped: 0 };
+
+  try {
+    for (const page of pages) {
+      const fences = extractFences(readFileSync(join(docsDir, page), 'utf-8'));
+
+      fences.forEach((fence, i) => {
+        if (!LOADERS[fence.lang]) return;
+
+        const where = `docs/${page}:${fence.line}`;
+        const mode = snippetMode(fence);
+        if (mode === 'skip') {
+          counts.skipped++;
+          return;
+        }
+
+        counts.syntax++;
+        const error = syntaxError(fence);
+        if (error) {
+          failures.push(`docs/${page}:${fence.line + error.line} syntax error: ${error.message}`);
+          return;
+        }
+
+        if (mode === 'syntax') return;
+        if (!workDir) {
+          counts.skipped++;
+          return;
+        }
+
+        counts.run++;
+        const result = runSnippet(fence, workDir);
+        if (result.error) {
+          failures.push(`${where} failed:\n      ${result.error}`);
+          return;
+        }
+
+        if (mode === 'expect-output') {
+          const expected = fences[i + 1];
+          if (!expected || expected.lang !== 'html') {
+            failures.push(`${where} is marked expect-output but isn't followed by an html block`);
+          } else if (normalizeHtml(result.output) !== normalizeHtml(expected.code)) {
+            failures.push(`${where} output doesn't match docs/${page}:${expected.line}\n      expected: ${normalizeHtml(expected.code)}\n      actual:   ${normalizeHtml(result.output)}`);
+          }
+        }
+      });
+    }
+  } finally {
+    if (workDir) rmSync(workDir, { recursive: true, force: true });
+  }
+
+  for (const failure of failures) {
+    console.log(`❌ ${failure}`);
+  }
+  console.log(`🧪 ${counts.syntax} snippets syntax-checked, ${counts.run} run, ${counts.skipped} skipped, ${failures.length} failed`);
+
+  if (failures.length) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Unhandled error:', error);
+  process.exit(1);
+});
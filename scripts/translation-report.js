@@ -0,0 +1,103 @@
+/**
+ * Translation Report
+ *
+ * Lists, for every translation in docs/.vitepress/locales.js, which English
+ * pages are missing and which translations are stale: the English page was
+ * committed after its translation was. Timestamps come from git, falling
+ * back to the file's modification time for files git doesn't know about yet.
+ *
+ * Runs as the translations step of scripts/build.js. It never fails the
+ * build; untranslated pages fall back to English on the site.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import matter from 'gray-matter';
+import { dirname, join } from 'path';
+import { locales } from '../docs/.vitepress/locales.js';
+import { versions } from '../docs/.vitepress/versions.js';
+
+/**
+ * English pages of the latest docs that translations should cover: everything
+ * outside other versions' and locales' directories, except noindex pages
+ */
+function findSourcePages(docsDir) {
+  const otherDirs = [...versions, ...locales].map(entry => entry.dir).filter(Boolean);
+
+  return readdirSync(docsDir, { recursive: true })
+    .map(file => file.split(/[\\/]/).join('/'))
+    .filter(file => file.endsWith('.md') && !file.startsWith('.vitepress/'))
+    .filter(file => !otherDirs.some(dir => file.startsWith(`${dir}/`)))
+    .filter(file => matter(readFileSync(join(docsDir, file), 'utf-8')).data.noindex !== true)
+    .sort();
+}
+
+/**
+ * When a file last changed, in seconds: its last commit, or its modification
+ * time when it hasn't been committed
+ */
+function lastChanged(file) {
+  try {
+    const committed = execFileSync('git', ['log', '-1', '--format=%ct', '--', file], { encoding: 'utf-8' }).trim();
+    if (committed) return Number(committed);
+  } catch {
+    // Not a git checkout; use the file's own timestamp
+  }
+  return Math.floor(statSync(file).mtimeMs / 1000);
+}
+
+/**
+ * Work out the missing and stale pages of every translation
+ */
+export function translationReport({ docsDir }) {
+  const sources = findSourcePages(docsDir);
+  const report = {};
+
+  for (const locale of locales.filter(entry => entry.dir)) {
+    const missing = [];
+    const stale = [];
+    let translated = 0;
+
+    for (const page of sources) {
+      const translation = `${locale.dir}/${page}`;
+      if (!existsSync(join(docsDir, translation))) {
+        missing.push(page);
+        continue;
+      }
+
+      translated++;
+      const sourceChanged = lastChanged(join(docsDir, page));
+      const translationChanged = lastChanged(join(docsDir, translation));
+      if (sourceChanged > translationChanged) {
+        stale.push({
+          page: translation,
+          source: page,
+          sourceUpdated: new Date(sourceChanged * 1000).toISOString(),
+          translationUpdated: new Date(translationChanged * 1000).toISOString()
+        });
+      }
+    }
+
+    report[locale.key] = { lang: locale.lang, total: sources.length, translated, missing, stale };
+  }
+
+  return report;
+}
+
+/**
+ * Print a summary per locale and write the full report as JSON
+ */
+export function reportTranslations(report, reportFile) {
+  for (const [key, { lang, total, translated, missing, stale }] of Object.entries(report)) {
+    console.log(`  ${key} (${lang}): ${translated}/${total} pages translated, ${missing.length} missing, ${stale.length} stale`);
+    for (const { page, source } of stale) {
+      console.log(`    stale: ${page} (${source} changed since)`);
+    }
+  }
+
+  if (reportFile) {
+    mkdirSync(dirname(reportFile), { recursive: true });
+    writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`  Report written to ${reportFile}`);
+  }
+}
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { cpSync, mkdirSync, mkdtempSync, readdirSync, rmSync, symlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'url';
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Build output and caches aren't needed to run the scripts
+const SKIPPED = ['docs/.vitepress/dist', 'docs/.vitepress/cache', 'docs/.vitepress/offline'].map(dir => join(rootDir, dir));
+
+/**
+ * A copy of the repository whose node_modules has everything but
+ * wp-block-to-html, in a directory with no sibling checkout of it either
+ */
+function copyWithoutLibrary() {
+  const copyDir = join(mkdtempSync(join(tmpdir(), 'docs-no-library-')), 'docs');
+  for (const entry of ['package.json', 'scripts', 'docs']) {
+    cpSync(join(rootDir, entry), join(copyDir, entry), {
+      recursive: true,
+      filter: source => !SKIPPED.includes(source)
+    });
+  }
+
+  mkdirSync(join(copyDir, 'node_modules'));
+  for (const name of readdirSync(join(rootDir, 'node_modules'))) {
+    if (name === 'wp-block-to-html') continue;
+    symlinkSync(join(rootDir, 'node_modules', name), join(copyDir, 'node_modules', name), 'junction');
+  }
+  return copyDir;
+}
+
+let copyDir;
+
+before(() => {
+  copyDir = copyWithoutLibrary();
+});
+
+after(() => {
+  rmSync(dirname(copyDir), { recursive: true, force: true });
+});
+
+test('without wp-block-to-html, snippets are only syntax-checked', () => {
+  const env = { ...process.env };
+  delete env.WP_BLOCK_TO_HTML_PATH;
+
+  const result = spawnSync(process.execPath, ['scripts/test-snippets.js', 'docs/guide/quick-start.md'], {
+    cwd: copyDir,
+    env,
+    encoding: 'utf-8'
+  });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /wp-block-to-html not found/);
+  assert.match(result.stdout, /🧪 [1-9]\d* snippets syntax-checked, 0 run, [1-9]\d* skipped, 0 failed/);
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { cpSync, existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, symlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+import { pageSeo } from '../docs/.vitepress/seo.js';
+import { siteMeta } from '../docs/.vitepress/site-meta.js';
+import {
+  latestEquivalent,
+  pathInVersion,
+  versionOf,
+  versionsThemeConfig
+} from '../docs/.vitepress/versions.js';
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Docs with an archived v1 next to the latest version
+const fixtureDir = join(rootDir, 'test/fixtures/versions');
+const fixtureVersions = [
+  { name: 'latest', label: 'v2.0.0 (latest)', dir: '', status: 'latest' },
+  { name: 'v1', label: 'v1.x', dir: 'v1', status: 'outdated' }
+];
+
+test('pages belong to the version whose directory they are in', () => {
+  assert.equal(versionOf('guide/installation.md', fixtureVersions).name, 'latest');
+  assert.equal(versionOf('v1/guide/installation.md', fixtureVersions).name, 'v1');
+  assert.equal(pathInVersion('v1/guide/installation.md', fixtureVersions), 'guide/installation.md');
+  assert.equal(pathInVersion('guide/installation.md', fixtureVersions), 'guide/installation.md');
+});
+
+test('each version lists its own pages', () => {
+  const [latest, v1] = versionsThemeConfig(fixtureDir, fixtureVersions);
+
+  assert.deepEqual(latest.pages, ['guide/hydration.md', 'guide/index.md', 'guide/installation.md', 'index.md']);
+  assert.deepEqual(v1.pages, ['guide/index.md', 'guide/installation.md', 'guide/legacy-api.md', 'index.md']);
+  assert.equal(v1.status, 'outdated');
+});
+
+test('archived pages point at the latest page at the same path, when there is one', () => {
+  assert.equal(latestEquivalent(fixtureDir, 'v1/guide/installation.md', fixtureVersions), 'guide/installation.md');
+  assert.equal(latestEquivalent(fixtureDir, 'v1/guide/legacy-api.md', fixtureVersions), null);
+});
+
+test('archived pages are canonicalized to the latest page', () => {
+  const seoOf = relativePath => pageSeo({ relativePath, frontmatter: {}, title: 'Installation' }, {
+    docsDir: fixtureDir,
+    versionList: fixtureVersions
+  }).seo;
+
+  const archived = seoOf('v1/guide/installation.md');
+  assert.equal(archived.version, 'v1');
+  assert.equal(archived.url, `${siteMeta.url}/v1/guide/installation`);
+  assert.equal(archived.canonical, `${siteMeta.url}/guide/installation`);
+
+  // Without a latest equivalent, the archived page is its own canonical
+  const removed = seoOf('v1/guide/legacy-api.md');
+  assert.equal(removed.canonical, removed.url);
+
+  assert.equal(seoOf('guide/installation.md').canonical, `${siteMeta.url}/guide/installation`);
+});
+
+test('snapshot-version.js copies the latest docs into a new version', () => {
+  // The scripts and site config, with the fixture as the docs
+  const copyDir = join(mkdtempSync(join(tmpdir(), 'docs-snapshot-')), 'docs');
+  try {
+    cpSync(join(rootDir, 'package.json'), join(copyDir, 'package.json'));
+    cpSync(join(rootDir, 'scripts'), join(copyDir, 'scripts'), { recursive: true });
+    cpSync(fixtureDir, join(copyDir, 'docs'), { recursive: true });
+    for (const file of readdirSync(join(rootDir, 'docs/.vitepress')).filter(file => file.endsWith('.js'))) {
+      cpSync(join(rootDir, 'docs/.vitepress', file), join(copyDir, 'docs/.vitepress', file));
+    }
+    symlinkSync(join(rootDir, 'node_modules'), join(copyDir, 'node_modules'), 'junction');
+
+    const snapshot = name => spawnSync(process.execPath, ['scripts/snapshot-version.js', name], { cwd: copyDir, encoding: 'utf-8' });
+
+    const result = snapshot('v2');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Copied 4 pages to docs\/v2/);
+    assert.match(result.stdout, /\{ name: 'v2', label: 'v2', dir: 'v2', status: 'outdated' \}/);
+
+    // Links between copied pages stay in the snapshot; others are left alone
+    const guide = readFileSync(join(copyDir, 'docs/v2/guide/index.md'), 'utf-8');
+    assert.match(guide, /\]\(\/v2\/guide\/installation\)/);
+    assert.match(guide, /\]\(\/v2\/guide\/hydration#strategies\)/);
+    const installation = readFileSync(join(copyDir, 'docs/v2/guide/installation.md'), 'utf-8');
+    assert.match(installation, /\]\(\/v2\/guide\/\)/);
+    assert.match(installation, /\]\(\/changelog\)/);
+
+    // Other versions aren't copied into the snapshot
+    assert.equal(existsSync(join(copyDir, 'docs/v2/v1')), false);
+
+    assert.match(snapshot('v1').stderr, /docs\/v1 already exists/);
+    assert.match(snapshot('latest').stderr, /Version names look like v1 or v0\.x/);
+  } finally {
+    rmSync(dirname(copyDir), { recursive: true, force: true });
+  }
+});